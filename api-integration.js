@@ -1,33 +1,229 @@
 // ViewMax API Integration
+
+// A failed API request with the server's error envelope. code and details are set
+// for invalid parameters, where each detail is { code, field, message }.
+class APIError extends Error {
+    constructor(status, body = {}) {
+        const details = Array.isArray(body.details) ? body.details : [];
+        const reasons = details.map(detail => (typeof detail === 'string' ? detail : detail.message)).filter(Boolean);
+        const summary = body.error || `Request failed with status ${status}`;
+        super(reasons.length > 0 ? `${summary}: ${reasons.join('; ')}` : summary);
+        this.name = 'APIError';
+        this.status = status;
+        this.code = body.code || null;
+        this.details = details;
+    }
+
+    // The detail for one parameter, e.g. error.fieldError('limit')
+    fieldError(field) {
+        return this.details.find(detail => detail && detail.field === field) || null;
+    }
+}
+
+// GET responses kept with their ETag, in memory and in sessionStorage (so they
+// survive navigation within the tab). Entries are always revalidated with
+// If-None-Match; a 304 means the stored body is still current.
+class ResponseCache {
+    constructor(prefix = 'viewmax.cache:', maxEntries = 100) {
+        this.prefix = prefix;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (this.entries.has(key)) return this.entries.get(key);
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.prefix + key));
+            if (stored) this.entries.set(key, stored);
+            return stored;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > this.maxEntries) {
+            const [oldest] = this.entries.keys();
+            this.delete(oldest);
+        }
+        try {
+            sessionStorage.setItem(this.prefix + key, JSON.stringify(entry));
+        } catch (error) {
+            // Storage full or unavailable: the in-memory copy still works
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        try {
+            sessionStorage.removeItem(this.prefix + key);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        try {
+            Object.keys(sessionStorage)
+                .filter(key => key.startsWith(this.prefix))
+                .forEach(key => sessionStorage.removeItem(key));
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+}
+
 class ViewMaxAPI {
     constructor() {
         this.baseURL = window.location.origin;
         this.apiURL = `${this.baseURL}/api`;
+        this.refreshPromise = null;
+        this.cache = new ResponseCache();
+    }
+
+    // Session tokens are kept in localStorage so sign-in survives reloads
+    getAccessToken() {
+        return localStorage.getItem('viewmax.accessToken');
+    }
+
+    getRefreshToken() {
+        return localStorage.getItem('viewmax.refreshToken');
     }
 
-    // Generic fetch method with error handling
-    async fetchData(endpoint, options = {}) {
+    setSession({ accessToken, refreshToken }) {
+        localStorage.setItem('viewmax.accessToken', accessToken);
+        localStorage.setItem('viewmax.refreshToken', refreshToken);
+    }
+
+    // Cached responses may be private to the signed-in user
+    clearSession() {
+        localStorage.removeItem('viewmax.accessToken');
+        localStorage.removeItem('viewmax.refreshToken');
+        this.cache.clear();
+    }
+
+    isSignedIn() {
+        return Boolean(this.getRefreshToken());
+    }
+
+    // Generic fetch method with error handling.
+    // Sends the access token when signed in and, on a 401, refreshes it once and retries.
+    // GETs are revalidated against the response cache; failed requests throw an
+    // APIError carrying the server's error details.
+    async fetchData(endpoint, options = {}, retried = false) {
         try {
+            const token = this.getAccessToken();
+            const cacheable = (options.method || 'GET').toUpperCase() === 'GET' && !endpoint.startsWith('/auth/');
+            const cached = cacheable ? this.cache.get(endpoint) : null;
             const response = await fetch(`${this.apiURL}${endpoint}`, {
+                ...options,
                 headers: {
                     'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...(cached ? { 'If-None-Match': cached.etag } : {}),
                     ...options.headers
-                },
-                ...options
+                }
             });
 
+            if (response.status === 304 && cached) {
+                return JSON.parse(cached.body);
+            }
+
+            // A failed refresh clears the session, so the retry goes out anonymously
+            if (response.status === 401 && !retried && token && !endpoint.startsWith('/auth/')) {
+                await this.refreshSession();
+                return await this.fetchData(endpoint, options, true);
+            }
+
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const body = await response.json().catch(() => ({}));
+                throw new APIError(response.status, body);
             }
 
-            const data = await response.json();
-            return data;
+            const body = await response.text();
+            const etag = response.headers.get('ETag');
+            if (cacheable && etag && !/no-store/.test(response.headers.get('Cache-Control') || '')) {
+                this.cache.set(endpoint, { etag, body });
+            }
+            return JSON.parse(body);
         } catch (error) {
             console.error('API Error:', error);
             throw error;
         }
     }
 
+    // Exchange the refresh token for a new pair; concurrent callers share one request
+    refreshSession() {
+        if (!this.getRefreshToken()) {
+            this.clearSession();
+            return Promise.resolve(false);
+        }
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.apiURL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.getRefreshToken() })
+            })
+                .then(async response => {
+                    if (!response.ok) {
+                        this.clearSession();
+                        return false;
+                    }
+                    const { data } = await response.json();
+                    this.setSession(data);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    // Create an account and sign in
+    async register(email, password, displayName) {
+        const response = await this.fetchData('/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ email, password, displayName })
+        });
+        this.cache.clear();
+        this.setSession(response.data);
+        return response;
+    }
+
+    async login(email, password) {
+        const response = await this.fetchData('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ email, password })
+        });
+        this.cache.clear();
+        this.setSession(response.data);
+        return response;
+    }
+
+    async logout() {
+        const refreshToken = this.getRefreshToken();
+        this.clearSession();
+        if (!refreshToken) return;
+        try {
+            await this.fetchData('/auth/logout', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            // The local session is gone either way
+        }
+    }
+
+    // Get the signed-in account
+    async getCurrentUser() {
+        return await this.fetchData('/auth/me');
+    }
+
     // Get all movies with optional filters
     async getMovies(params = {}) {
         const queryString = new URLSearchParams(params).toString();
@@ -35,9 +231,16 @@ class ViewMaxAPI {
         return await this.fetchData(endpoint);
     }
 
-    // Get single movie by name
-    async getMovie(name) {
-        return await this.fetchData(`/movies/${encodeURIComponent(name)}`);
+    // Get single movie by id or slug (legacy names redirect to the canonical URL)
+    async getMovie(id) {
+        return await this.fetchData(`/movies/${encodeURIComponent(id)}`);
+    }
+
+    // Get movies like the given one (personalized when signed in)
+    async getSimilarMovies(id, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const endpoint = `/movies/${encodeURIComponent(id)}/similar${queryString ? `?${queryString}` : ''}`;
+        return await this.fetchData(endpoint);
     }
 
     // Get all series with optional filters
@@ -47,18 +250,51 @@ class ViewMaxAPI {
         return await this.fetchData(endpoint);
     }
 
-    // Get single series by name
-    async getSeriesInfo(name) {
-        return await this.fetchData(`/series/${encodeURIComponent(name)}`);
+    // Get single series by id or slug (legacy names redirect to the canonical URL)
+    // (pass { episodes: false } to skip the episode list and use the season endpoints)
+    async getSeriesInfo(id, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return await this.fetchData(`/series/${encodeURIComponent(id)}${queryString ? `?${queryString}` : ''}`);
+    }
+
+    // Get season metadata (title, poster, year, synopsis, episodeCount) for a series
+    async getSeasons(seriesId) {
+        return await this.fetchData(`/series/${encodeURIComponent(seriesId)}/seasons`);
+    }
+
+    // Get one page of a season's episodes ({ limit, offset }); the response includes the total
+    async getSeasonEpisodes(seriesId, season, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const endpoint = `/series/${encodeURIComponent(seriesId)}/seasons/${season}/episodes${queryString ? `?${queryString}` : ''}`;
+        return await this.fetchData(endpoint);
+    }
+
+    // Get series like the given one (personalized when signed in)
+    async getSimilarSeries(id, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const endpoint = `/series/${encodeURIComponent(id)}/similar${queryString ? `?${queryString}` : ''}`;
+        return await this.fetchData(endpoint);
     }
 
     // Get episodes for a series
-    async getEpisodes(seriesName, params = {}) {
+    async getEpisodes(seriesId, params = {}) {
         const queryString = new URLSearchParams(params).toString();
-        const endpoint = `/series/${encodeURIComponent(seriesName)}/episodes${queryString ? `?${queryString}` : ''}`;
+        const endpoint = `/series/${encodeURIComponent(seriesId)}/episodes${queryString ? `?${queryString}` : ''}`;
         return await this.fetchData(endpoint);
     }
 
+    // Get the episode after (or before) the given one, crossing season boundaries;
+    // data is null at the end (or start) of the series
+    async getNextEpisode(seriesId, season, episode) {
+        const queryString = new URLSearchParams({ season, episode }).toString();
+        return await this.fetchData(`/series/${encodeURIComponent(seriesId)}/episodes/next?${queryString}`);
+    }
+
+    async getPreviousEpisode(seriesId, season, episode) {
+        const queryString = new URLSearchParams({ season, episode }).toString();
+        return await this.fetchData(`/series/${encodeURIComponent(seriesId)}/episodes/previous?${queryString}`);
+    }
+
     // Universal search
     async search(query, params = {}) {
         const searchParams = { q: query, ...params };
@@ -66,9 +302,9 @@ class ViewMaxAPI {
         return await this.fetchData(`/search?${queryString}`);
     }
 
-    // Get iframe sources
-    async getIframeSources(title, params = {}) {
-        const searchParams = { title, ...params };
+    // Get iframe sources by title id
+    async getIframeSources(id, params = {}) {
+        const searchParams = { id, ...params };
         const queryString = new URLSearchParams(searchParams).toString();
         return await this.fetchData(`/iframe?${queryString}`);
     }
@@ -80,6 +316,113 @@ class ViewMaxAPI {
         return await this.fetchData(endpoint);
     }
 
+    // Record a playback event; failures are logged and never interrupt playback
+    async trackEvent(event) {
+        try {
+            return await this.fetchData('/events', {
+                method: 'POST',
+                body: JSON.stringify(event),
+                keepalive: true
+            });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Get the saved position for a title (signed-in users only)
+    async getProgress(titleId) {
+        return await this.fetchData(`/me/progress/${encodeURIComponent(titleId)}`);
+    }
+
+    // Save the current position for a title; a no-op when signed out
+    async saveProgress(titleId, progress) {
+        if (!this.isSignedIn()) return null;
+        try {
+            return await this.fetchData(`/me/progress/${encodeURIComponent(titleId)}`, {
+                method: 'PUT',
+                body: JSON.stringify(progress)
+            });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Get unfinished titles, most recently watched first
+    async getContinueWatching(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const endpoint = `/me/continue-watching${queryString ? `?${queryString}` : ''}`;
+        return await this.fetchData(endpoint);
+    }
+
+    // Saved-title lists ('watchlist' or 'favorites'), returned with full title data
+    async getList(list) {
+        return await this.fetchData(`/me/${list}`);
+    }
+
+    async addToList(list, titleId) {
+        return await this.fetchData(`/me/${list}`, {
+            method: 'POST',
+            body: JSON.stringify({ titleId })
+        });
+    }
+
+    async removeFromList(list, titleId) {
+        return await this.fetchData(`/me/${list}/${encodeURIComponent(titleId)}`, { method: 'DELETE' });
+    }
+
+    // titleIds must list every title in the list, in the new order
+    async reorderList(list, titleIds) {
+        return await this.fetchData(`/me/${list}/order`, {
+            method: 'PUT',
+            body: JSON.stringify({ titleIds })
+        });
+    }
+
+    async getWatchlist() {
+        return await this.getList('watchlist');
+    }
+
+    async addToWatchlist(titleId) {
+        return await this.addToList('watchlist', titleId);
+    }
+
+    async removeFromWatchlist(titleId) {
+        return await this.removeFromList('watchlist', titleId);
+    }
+
+    async reorderWatchlist(titleIds) {
+        return await this.reorderList('watchlist', titleIds);
+    }
+
+    async getFavorites() {
+        return await this.getList('favorites');
+    }
+
+    async addToFavorites(titleId) {
+        return await this.addToList('favorites', titleId);
+    }
+
+    async removeFromFavorites(titleId) {
+        return await this.removeFromList('favorites', titleId);
+    }
+
+    async reorderFavorites(titleIds) {
+        return await this.reorderList('favorites', titleIds);
+    }
+
+    // Download both lists as JSON, for importing into another instance
+    async exportLists() {
+        return await this.fetchData('/me/lists/export');
+    }
+
+    // Import an export; mode 'merge' appends to the current lists, 'replace' overwrites them
+    async importLists(exported, mode = 'merge') {
+        return await this.fetchData('/me/lists/import', {
+            method: 'POST',
+            body: JSON.stringify({ ...exported, mode })
+        });
+    }
+
     // Get statistics
     async getStats() {
         return await this.fetchData('/stats');
@@ -98,41 +441,282 @@ class ViewMaxAPI {
 
 // Create global API instance
 window.viewMaxAPI = new ViewMaxAPI();
+window.APIError = APIError;
+
+// Attributes whose value is a URL; only http(s) URLs, relative ones included, are set
+const URL_ATTRIBUTES = ['src', 'href', 'action', 'poster'];
+
+// The URL as a string if it is http(s) (relative URLs resolve against this page), otherwise null
+function safeURL(value) {
+    try {
+        const url = new URL(String(value), window.location.href);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// An iframe source is only used when it is https on one of `hosts`, the embed
+// hosts the API derives from its provider registry
+function safeEmbedURL(value, hosts = []) {
+    const href = safeURL(value);
+    if (!href) return null;
+    const { protocol, hostname } = new URL(href);
+    return protocol === 'https:' && hosts.includes(hostname) ? href : null;
+}
+
+// Build a DOM element. Children are nodes or text, and text is never parsed as
+// HTML; null, undefined and false children are skipped. `className` and `dataset`
+// set those properties, `true` adds an empty (boolean) attribute and null, undefined
+// or false leave it out. Inline on* handlers are refused: mark the element with
+// data-action and handle it with delegate() instead.
+function el(tag, attributes = {}, ...children) {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === false) return;
+        if (/^on/i.test(name)) {
+            throw new Error(`Inline handler "${name}" is not allowed; use data-action with delegate()`);
+        }
+        if (name === 'className') {
+            element.className = value;
+        } else if (name === 'dataset') {
+            Object.assign(element.dataset, value);
+        } else if (URL_ATTRIBUTES.includes(name)) {
+            const url = safeURL(value);
+            if (url) element.setAttribute(name, url);
+        } else {
+            element.setAttribute(name, value === true ? '' : String(value));
+        }
+    });
+    children.flat().forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        element.append(child instanceof Node ? child : String(child));
+    });
+    return element;
+}
+
+// Handle `eventType` events for every element inside container with a data-action,
+// now or rendered later: handlers[action](element, event) runs for the nearest one
+function delegate(container, eventType, handlers) {
+    container.addEventListener(eventType, (event) => {
+        const target = event.target.closest('[data-action]');
+        if (!target || !container.contains(target)) return;
+        const handler = handlers[target.dataset.action];
+        if (handler) handler(target, event);
+    });
+}
+
+// Wrap the [start, end) ranges returned by the search API in <mark>, as nodes
+function highlightText(text, ranges = []) {
+    const nodes = [];
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        nodes.push(text.slice(position, start), el('mark', {}, text.slice(start, end)));
+        position = end;
+    });
+    nodes.push(text.slice(position));
+    return nodes;
+}
+
+// Store the loaded title's id and rewrite name-based player URLs to use it
+function rememberTitle(param, storageKey, id) {
+    localStorage.setItem(storageKey, id);
+
+    const url = new URL(window.location.href);
+    if (url.searchParams.has(param) && url.searchParams.get(param) !== id) {
+        url.searchParams.set(param, id);
+        window.history.replaceState(null, '', url);
+    }
+}
+
+// Which titles are on the signed-in user's watchlist and favorites, for the add/remove toggles
+class UserLists {
+    constructor() {
+        this.lists = { watchlist: new Set(), favorites: new Set() };
+        this.loading = null;
+
+        // Toggles appear on title pages and in search suggestions, so listen on the document
+        delegate(document, 'click', {
+            'toggle-list': button => this.toggle(button)
+        });
+    }
+
+    // Fetch both lists once; later calls reuse the same request
+    load() {
+        if (!window.viewMaxAPI.isSignedIn()) return Promise.resolve();
+        if (!this.loading) {
+            this.loading = Promise.all(Object.keys(this.lists).map(async list => {
+                const response = await window.viewMaxAPI.getList(list);
+                this.lists[list] = new Set(response.data.map(item => item.id));
+            })).catch(error => {
+                console.error('Error loading saved lists:', error);
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    has(list, titleId) {
+        return this.lists[list].has(titleId);
+    }
+
+    // Add/remove buttons for a title; none when signed out
+    renderToggles(titleId) {
+        if (!window.viewMaxAPI.isSignedIn()) return [];
+        return Object.keys(this.lists).map(list => el('button', {
+            type: 'button',
+            className: `list-toggle${this.has(list, titleId) ? ' active' : ''}`,
+            dataset: { action: 'toggle-list', list, titleId }
+        }, this.toggleLabel(list, titleId)));
+    }
+
+    toggleLabel(list, titleId) {
+        const saved = this.has(list, titleId);
+        if (list === 'watchlist') return saved ? '✓ In Watchlist' : '+ Watchlist';
+        return saved ? '♥ Favorited' : '♡ Favorite';
+    }
+
+    async toggle(button) {
+        const { list, titleId } = button.dataset;
+        const saved = this.has(list, titleId);
+        button.disabled = true;
+
+        try {
+            if (saved) {
+                await window.viewMaxAPI.removeFromList(list, titleId);
+                this.lists[list].delete(titleId);
+            } else {
+                await window.viewMaxAPI.addToList(list, titleId);
+                this.lists[list].add(titleId);
+            }
+        } catch (error) {
+            console.error(`Error updating ${list}:`, error);
+        } finally {
+            // Other toggles for the same title (e.g. search suggestions) stay in sync
+            document.querySelectorAll(`.list-toggle[data-list="${list}"][data-title-id="${CSS.escape(titleId)}"]`)
+                .forEach(toggle => {
+                    toggle.textContent = this.toggleLabel(list, titleId);
+                    toggle.classList.toggle('active', this.has(list, titleId));
+                });
+            button.disabled = false;
+        }
+    }
+}
+
+// Render the watchlist/favorite toggles right after a title heading
+async function displayListToggles(headingId, titleId) {
+    const heading = document.getElementById(headingId);
+    if (!heading) return;
+
+    let container = document.getElementById('title-list-actions');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'title-list-actions';
+        container.className = 'list-actions';
+        heading.insertAdjacentElement('afterend', container);
+    }
+
+    await window.userLists.load();
+    container.replaceChildren(...window.userLists.renderToggles(titleId));
+}
+
+// Ask the API which source to play: it skips sources the health checker has marked
+// as failing. Falls back to the title's own source list if the request fails; those
+// sources also came from the API, so their hosts are the ones allowed then.
+async function resolveSource(id, sources, provider, params = {}) {
+    try {
+        const { data } = await window.viewMaxAPI.getIframeSources(id, { ...(provider && { provider }), ...params });
+        return data;
+    } catch (error) {
+        console.error('Error resolving source:', error);
+        const ordered = [...sources].sort((a, b) => a.priority - b.priority);
+        const selected = ordered.find(source => source.provider === provider) || ordered[0];
+        return {
+            source: selected,
+            iframe: selected.url,
+            sources: ordered.map(source => ({ ...source, healthy: true })),
+            embedHosts: ordered.map(source => safeURL(source.url)).filter(Boolean).map(url => new URL(url).hostname)
+        };
+    }
+}
+
+// Render one button per source, marking the playing one active and flagging failing ones
+function renderSourceButtons(sources, activeProvider) {
+    const container = document.getElementById('player-buttons');
+    if (!container) return;
+
+    container.replaceChildren(...sources.map(source => {
+        const classes = [
+            source.provider === activeProvider ? 'active' : '',
+            source.healthy === false ? 'unhealthy' : ''
+        ].filter(Boolean).join(' ');
+        const details = [source.quality, source.language && source.language.toUpperCase()].filter(Boolean);
+
+        return el('button', {
+            type: 'button',
+            className: classes,
+            dataset: { action: 'change-source', provider: source.provider },
+            title: source.healthy === false ? 'This server is currently failing' : source.provider
+        }, source.label, details.length > 0 && [' ', el('small', {}, details.join(' · '))]);
+    }));
+}
+
+// Source buttons are re-rendered for every title, so listen on their container
+function bindSourceButtons(onSelect) {
+    const container = document.getElementById('player-buttons');
+    if (!container) return;
+
+    delegate(container, 'click', {
+        'change-source': button => onSelect(button.dataset.provider)
+    });
+}
 
 // Movie Player Integration
 class MoviePlayer {
     constructor() {
         this.currentMovie = null;
-        this.currentSource = 1;
+        this.currentProvider = null;
         this.playerElement = document.getElementById('player');
         this.init();
     }
 
     init() {
-        // Get movie name from URL parameters or localStorage
+        // Get movie id from URL parameters or localStorage (older links carry the name)
         const urlParams = new URLSearchParams(window.location.search);
-        const movieName = urlParams.get('movie') || localStorage.getItem('currentMovie');
+        const movieId = urlParams.get('movie') || localStorage.getItem('currentMovie');
         
-        if (movieName) {
-            this.loadMovie(movieName);
+        if (movieId) {
+            this.loadMovie(movieId);
         }
 
         // Set up source change buttons
         this.setupSourceButtons();
+        this.setupControls();
     }
 
-    async loadMovie(movieName) {
+    // Suggestions are re-rendered for every movie, so listen on their container
+    setupControls() {
+        const suggestions = document.getElementById('suggestions');
+        if (!suggestions) return;
+
+        delegate(suggestions, 'click', {
+            'open-movie': item => this.loadMovie(item.dataset.id)
+        });
+    }
+
+    async loadMovie(movieId) {
         try {
-            const response = await window.viewMaxAPI.getMovie(movieName);
+            const response = await window.viewMaxAPI.getMovie(movieId);
             if (response.success) {
                 this.currentMovie = response.data;
+                rememberTitle('movie', 'currentMovie', this.currentMovie.id);
                 this.displayMovieInfo();
                 this.loadPlayer();
                 this.loadSuggestions();
             }
         } catch (error) {
             console.error('Error loading movie:', error);
-            this.showError('Failed to load movie');
+            this.showError(error instanceof APIError ? error.message : 'Failed to load movie');
         }
     }
 
@@ -160,53 +744,85 @@ class MoviePlayer {
             imageElement.alt = this.currentMovie.name;
         }
 
+        displayListToggles('movie-title', this.currentMovie.id);
+
         // Update page title and meta tags
         document.title = `${this.currentMovie.name} - ViewMax`;
         this.updateMetaTags();
     }
 
-    loadPlayer() {
+    // eventType is 'play' for a fresh load and 'source_switch' when changing servers.
+    // Unhealthy sources are skipped, advancing to the next one that works
+    async loadPlayer(eventType = 'play') {
         if (!this.currentMovie || !this.currentMovie.sources) return;
 
-        const sourceKey = `source${this.currentSource}`;
-        const iframeSrc = this.currentMovie.sources[sourceKey] || this.currentMovie.sources.source1;
+        const { source, iframe: iframeSrc, sources, embedHosts } = await resolveSource(
+            this.currentMovie.id,
+            this.currentMovie.sources,
+            this.currentProvider
+        );
+        this.currentProvider = source.provider;
+        renderSourceButtons(sources, this.currentProvider);
+
+        const src = safeEmbedURL(iframeSrc, embedHosts);
+        if (!src) {
+            this.showError('This server cannot be played here, please try another one');
+            return;
+        }
+
+        window.viewMaxAPI.trackEvent({
+            type: eventType,
+            titleId: this.currentMovie.id,
+            source: this.currentProvider
+        });
+        this.reportProgress();
 
         if (this.playerElement) {
-            this.playerElement.innerHTML = `
-                <iframe 
-                    src="${iframeSrc}" 
-                    allowfullscreen 
-                    scrolling="no"
-                    style="width: 100%; height: 100%; border: none; border-radius: 20px;">
-                </iframe>
-            `;
+            this.playerElement.replaceChildren(el('iframe', {
+                src,
+                allowfullscreen: true,
+                scrolling: 'no',
+                style: 'width: 100%; height: 100%; border: none; border-radius: 20px;'
+            }));
         }
     }
 
     setupSourceButtons() {
-        const buttons = document.querySelectorAll('#player-buttons button');
-        buttons.forEach((button, index) => {
-            button.addEventListener('click', () => {
-                this.changeSource(index + 1);
-            });
-        });
+        bindSourceButtons(provider => this.changeSource(provider));
     }
 
-    changeSource(sourceNumber) {
-        this.currentSource = sourceNumber;
-        
-        // Update active button
-        const buttons = document.querySelectorAll('#player-buttons button');
-        buttons.forEach((btn, index) => {
-            btn.classList.toggle('active', index + 1 === sourceNumber);
+    changeSource(provider) {
+        this.currentProvider = provider;
+        this.loadPlayer('source_switch');
+    }
+
+    // The iframe the current source plays in, if any
+    frame() {
+        return this.playerElement ? this.playerElement.querySelector('iframe') : null;
+    }
+
+    // Called when the embedded player reports that playback finished
+    markCompleted() {
+        if (!this.currentMovie) return;
+        window.viewMaxAPI.trackEvent({
+            type: 'complete',
+            titleId: this.currentMovie.id,
+            source: this.currentProvider
         });
+        this.reportProgress(true);
+    }
 
-        this.loadPlayer();
+    // Sync the selected source to the signed-in user's progress
+    reportProgress(completed = false) {
+        window.viewMaxAPI.saveProgress(this.currentMovie.id, {
+            source: this.currentProvider,
+            completed
+        });
     }
 
     async loadSuggestions() {
         try {
-            const response = await window.viewMaxAPI.getMovies({ limit: 6 });
+            const response = await window.viewMaxAPI.getSimilarMovies(this.currentMovie.id, { limit: 6 });
             if (response.success) {
                 this.displaySuggestions(response.data);
             }
@@ -219,12 +835,10 @@ class MoviePlayer {
         const suggestionsContainer = document.getElementById('suggestions');
         if (!suggestionsContainer) return;
 
-        suggestionsContainer.innerHTML = movies.map(movie => `
-            <div class="suggestion-item" onclick="window.moviePlayer.loadMovie('${movie.name}')">
-                <img src="${movie.image}" alt="${movie.name}" loading="lazy">
-                <p>${movie.name}</p>
-            </div>
-        `).join('');
+        suggestionsContainer.replaceChildren(...movies.map(movie => el('div', {
+            className: 'suggestion-item',
+            dataset: { action: 'open-movie', id: movie.id }
+        }, el('img', { src: movie.image, alt: movie.name, loading: 'lazy' }), el('p', {}, movie.name))));
     }
 
     updateMetaTags() {
@@ -253,50 +867,123 @@ class MoviePlayer {
 
     showError(message) {
         if (this.playerElement) {
-            this.playerElement.innerHTML = `
-                <div style="display: flex; align-items: center; justify-content: center; height: 100%; color: white; font-size: 18px;">
-                    <p>${message}</p>
-                </div>
-            `;
+            this.playerElement.replaceChildren(el('div', {
+                style: 'display: flex; align-items: center; justify-content: center; height: 100%; color: white; font-size: 18px;'
+            }, el('p', {}, message)));
         }
     }
 }
 
+// Seconds shown before the next episode starts when autoplay is on
+const AUTOPLAY_DELAY = 10;
+const AUTOPLAY_STORAGE_KEY = 'viewmax.autoplayNext';
+// Episodes fetched per request when browsing a season
+const EPISODE_PAGE_SIZE = 50;
+
 // Series Player Integration
 class SeriesPlayer {
     constructor() {
         this.currentSeries = null;
         this.currentSeason = 1;
         this.currentEpisode = 1;
-        this.currentSource = 1;
+        this.currentProvider = null;
+        this.autoplayTimer = null;
+        // Season metadata, and the episodes of the current season loaded so far
+        this.seasons = [];
+        this.seasonEpisodes = [];
+        this.seasonTotal = 0;
+        this.loadedSeason = null;
         this.init();
     }
 
     init() {
         const urlParams = new URLSearchParams(window.location.search);
-        const seriesName = urlParams.get('series') || localStorage.getItem('currentSeries');
+        const seriesId = urlParams.get('series') || localStorage.getItem('currentSeries');
         
-        if (seriesName) {
-            this.loadSeries(seriesName);
+        if (seriesId) {
+            this.loadSeries(seriesId);
         }
 
         this.setupSourceButtons();
+        this.setupControls();
+        this.setupKeyboardShortcuts();
+    }
+
+    // Seasons, episodes, the episode nav and suggestions are re-rendered as the
+    // series plays, so their buttons are handled on the containers
+    setupControls() {
+        const containers = {
+            'seasons-list': {
+                click: { 'select-season': item => this.selectSeason(Number(item.dataset.season)) }
+            },
+            'episodes-container': {
+                click: {
+                    'select-episode': button => this.selectEpisode(Number(button.dataset.episode)),
+                    'load-more': () => this.loadMoreEpisodes()
+                }
+            },
+            'episode-nav': {
+                click: {
+                    'previous-episode': () => this.previousEpisode(),
+                    'next-episode': () => this.nextEpisode(),
+                    'cancel-autoplay': () => this.cancelAutoplay()
+                },
+                change: { autoplay: input => this.setAutoplay(input.checked) }
+            },
+            suggestions: {
+                click: { 'open-series': item => this.loadSeries(item.dataset.id) }
+            }
+        };
+
+        Object.entries(containers).forEach(([id, events]) => {
+            const container = document.getElementById(id);
+            if (!container) return;
+            Object.entries(events).forEach(([eventType, handlers]) => delegate(container, eventType, handlers));
+        });
     }
 
-    async loadSeries(seriesName) {
+    // Shift+N / Shift+P step through episodes; Escape cancels the autoplay countdown
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (event) => {
+            const target = event.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+            if (event.shiftKey && event.key.toLowerCase() === 'n') {
+                event.preventDefault();
+                this.nextEpisode();
+            } else if (event.shiftKey && event.key.toLowerCase() === 'p') {
+                event.preventDefault();
+                this.previousEpisode();
+            } else if (event.key === 'Escape' && this.autoplayTimer) {
+                this.cancelAutoplay();
+            }
+        });
+    }
+
+    async loadSeries(seriesId) {
         try {
-            const response = await window.viewMaxAPI.getSeriesInfo(seriesName);
+            // Episodes are loaded a season at a time instead of with the series
+            const response = await window.viewMaxAPI.getSeriesInfo(seriesId, { episodes: false });
             if (response.success) {
                 this.currentSeries = response.data;
+                this.seasons = (response.data.seasons || []).filter(season => season.episodeCount > 0);
+                rememberTitle('series', 'currentSeries', this.currentSeries.id);
+                await this.restoreProgress();
+                if (!this.seasons.some(season => season.number === this.currentSeason) && this.seasons.length > 0) {
+                    this.currentSeason = this.seasons[0].number;
+                }
+                await this.loadSeasonEpisodes(this.currentSeason, this.currentEpisode);
+                this.settleCurrentEpisode();
                 this.displaySeriesInfo();
                 this.displaySeasons();
                 this.displayEpisodes();
+                this.displayEpisodeNav();
                 this.loadPlayer();
                 this.loadSuggestions();
             }
         } catch (error) {
             console.error('Error loading series:', error);
-            this.showError('Failed to load series');
+            this.showError(error instanceof APIError ? error.message : 'Failed to load series');
         }
     }
 
@@ -322,96 +1009,324 @@ class SeriesPlayer {
             imageElement.alt = this.currentSeries.name;
         }
 
+        displayListToggles('series-title', this.currentSeries.id);
+
         document.title = `${this.currentSeries.name} - ViewMax`;
     }
 
-    displaySeasons() {
-        if (!this.currentSeries.episodes) return;
+    // Load the first page of a season's episodes, plus further pages until
+    // untilEpisode (when given) is among them
+    async loadSeasonEpisodes(season, untilEpisode = null) {
+        if (!this.seasons.some(entry => entry.number === season)) return;
+
+        const { data, total } = await window.viewMaxAPI.getSeasonEpisodes(
+            this.currentSeries.id, season, { limit: EPISODE_PAGE_SIZE, offset: 0 }
+        );
+        this.loadedSeason = season;
+        this.seasonEpisodes = data;
+        this.seasonTotal = total;
+
+        while (untilEpisode !== null && !this.findLoadedEpisode(untilEpisode) && this.hasMoreEpisodes()) {
+            await this.loadMoreEpisodes(false);
+        }
+    }
+
+    async loadMoreEpisodes(render = true) {
+        if (!this.hasMoreEpisodes()) return;
+
+        const { data, total } = await window.viewMaxAPI.getSeasonEpisodes(
+            this.currentSeries.id, this.loadedSeason, { limit: EPISODE_PAGE_SIZE, offset: this.seasonEpisodes.length }
+        );
+        this.seasonEpisodes = [...this.seasonEpisodes, ...data];
+        this.seasonTotal = total;
+        if (render) {
+            this.displayEpisodes();
+            this.displayEpisodeNav();
+        }
+    }
+
+    hasMoreEpisodes() {
+        return this.seasonEpisodes.length < this.seasonTotal;
+    }
+
+    findLoadedEpisode(episode) {
+        return this.seasonEpisodes.find(ep => ep.episode === episode);
+    }
+
+    // Fall back to the first available episode if the current one does not exist
+    settleCurrentEpisode() {
+        if (this.loadedSeason !== this.currentSeason) return;
 
-        const seasons = [...new Set(this.currentSeries.episodes.map(ep => ep.season))].sort((a, b) => a - b);
+        const episode = this.findLoadedEpisode(this.currentEpisode) || this.seasonEpisodes[0];
+        if (!episode) return;
+        this.currentEpisode = episode.episode;
+        if (!episode.sources?.some(source => source.provider === this.currentProvider)) {
+            this.currentProvider = null;
+        }
+    }
+
+    displaySeasons() {
         const seasonsList = document.getElementById('seasons-list');
         
         if (seasonsList) {
-            seasonsList.innerHTML = seasons.map(season => `
-                <li onclick="window.seriesPlayer.selectSeason(${season})" 
-                    class="${season === this.currentSeason ? 'active' : ''}">
-                    Season ${season}
-                </li>
-            `).join('');
+            seasonsList.replaceChildren(...this.seasons.map(season => el('li', {
+                className: season.number === this.currentSeason ? 'active' : '',
+                dataset: { action: 'select-season', season: season.number },
+                title: `${season.episodeCount} episode${season.episodeCount === 1 ? '' : 's'}`
+            }, season.title)));
         }
     }
 
     displayEpisodes() {
-        if (!this.currentSeries.episodes) return;
-
-        const seasonEpisodes = this.currentSeries.episodes.filter(ep => ep.season === this.currentSeason);
         const episodesContainer = document.getElementById('episodes-container');
         
         if (episodesContainer) {
-            episodesContainer.innerHTML = seasonEpisodes.map(episode => `
-                <button onclick="window.seriesPlayer.selectEpisode(${episode.episode})" 
-                        class="${episode.episode === this.currentEpisode ? 'active' : ''}">
-                    Episode ${episode.episode}: ${episode.title}
-                </button>
-            `).join('');
+            const buttons = this.seasonEpisodes.map(episode => el('button', {
+                className: episode.episode === this.currentEpisode ? 'active' : '',
+                dataset: { action: 'select-episode', episode: episode.episode }
+            }, `Episode ${episode.episode}: ${episode.title}`));
+
+            if (this.hasMoreEpisodes()) {
+                buttons.push(el('button', {
+                    type: 'button',
+                    className: 'load-more',
+                    dataset: { action: 'load-more' }
+                }, `Load more episodes (${this.seasonTotal - this.seasonEpisodes.length} more)`));
+            }
+            episodesContainer.replaceChildren(...buttons);
         }
     }
 
-    selectSeason(season) {
-        this.currentSeason = season;
-        this.currentEpisode = 1; // Reset to first episode of new season
-        this.displaySeasons();
-        this.displayEpisodes();
-        this.loadPlayer();
+    async selectSeason(season) {
+        // Start from the lowest-numbered episode of the new season
+        try {
+            await this.loadSeasonEpisodes(season);
+            if (this.loadedSeason !== season || this.seasonEpisodes.length === 0) return;
+            await this.goToEpisode(season, this.seasonEpisodes[0].episode);
+        } catch (error) {
+            console.error('Error loading season:', error);
+            this.showError(error instanceof APIError ? error.message : 'Failed to load season');
+        }
     }
 
     selectEpisode(episode) {
+        return this.goToEpisode(this.currentSeason, episode);
+    }
+
+    async goToEpisode(season, episode) {
+        this.cancelAutoplay();
+        if (this.loadedSeason !== season || !this.findLoadedEpisode(episode)) {
+            await this.loadSeasonEpisodes(season, episode);
+        }
+        this.currentSeason = season;
         this.currentEpisode = episode;
+        this.displaySeasons();
         this.displayEpisodes();
+        this.displayEpisodeNav();
         this.loadPlayer();
     }
 
-    loadPlayer() {
-        if (!this.currentSeries || !this.currentSeries.episodes) return;
+    // Move one episode forward (1) or back (-1); returns the episode moved to, or null
+    async stepEpisode(direction) {
+        if (!this.currentSeries) return null;
 
-        const currentEp = this.currentSeries.episodes.find(ep => 
-            ep.season === this.currentSeason && ep.episode === this.currentEpisode
+        try {
+            const request = direction > 0 ? 'getNextEpisode' : 'getPreviousEpisode';
+            const { data } = await window.viewMaxAPI[request](this.currentSeries.id, this.currentSeason, this.currentEpisode);
+            if (data) this.goToEpisode(data.season, data.episode);
+            return data;
+        } catch (error) {
+            console.error('Error changing episode:', error);
+            return null;
+        }
+    }
+
+    nextEpisode() {
+        return this.stepEpisode(1);
+    }
+
+    previousEpisode() {
+        return this.stepEpisode(-1);
+    }
+
+    isAutoplayEnabled() {
+        return localStorage.getItem(AUTOPLAY_STORAGE_KEY) === 'true';
+    }
+
+    setAutoplay(enabled) {
+        localStorage.setItem(AUTOPLAY_STORAGE_KEY, String(enabled));
+        if (!enabled) this.cancelAutoplay();
+    }
+
+    // Previous/next buttons, the autoplay switch and, while it runs, the countdown
+    displayEpisodeNav(countdown = null) {
+        const nav = document.getElementById('episode-nav');
+        if (!nav || !this.currentSeries) return;
+
+        // Season episodes arrive sorted, so the ends of the loaded page mark the season's ends
+        const seasonIndex = this.seasons.findIndex(season => season.number === this.currentSeason);
+        const position = this.seasonEpisodes.findIndex(ep => ep.episode === this.currentEpisode);
+        const isFirst = seasonIndex <= 0 && position <= 0;
+        const isLast = seasonIndex === this.seasons.length - 1 &&
+            !this.hasMoreEpisodes() && position === this.seasonEpisodes.length - 1;
+        const status = countdown
+            ? [
+                el('span', { className: 'autoplay-countdown' },
+                    `Up next: S${countdown.episode.season}E${countdown.episode.episode} ${countdown.episode.title} in ${countdown.seconds}s`),
+                el('button', { type: 'button', dataset: { action: 'cancel-autoplay' } }, 'Cancel')
+            ]
+            : [];
+
+        nav.replaceChildren(
+            el('button', {
+                type: 'button',
+                dataset: { action: 'previous-episode' },
+                disabled: isFirst,
+                title: 'Previous episode (Shift+P)'
+            }, '‹ Previous'),
+            el('button', {
+                type: 'button',
+                dataset: { action: 'next-episode' },
+                disabled: isLast,
+                title: 'Next episode (Shift+N)'
+            }, 'Next ›'),
+            el('label', { className: 'autoplay-toggle' },
+                el('input', { type: 'checkbox', dataset: { action: 'autoplay' }, checked: this.isAutoplayEnabled() }),
+                ' Autoplay next'),
+            ...status
         );
+    }
+
+    // Count down, then play the next episode (crossing into the next season if needed)
+    async startAutoplayCountdown() {
+        this.cancelAutoplay();
+        const { data: next } = await window.viewMaxAPI.getNextEpisode(
+            this.currentSeries.id, this.currentSeason, this.currentEpisode
+        );
+        if (!next || !this.isAutoplayEnabled()) return;
+
+        let seconds = AUTOPLAY_DELAY;
+        this.displayEpisodeNav({ episode: next, seconds });
+        this.autoplayTimer = setInterval(() => {
+            seconds -= 1;
+            if (seconds > 0) {
+                this.displayEpisodeNav({ episode: next, seconds });
+            } else {
+                this.goToEpisode(next.season, next.episode);
+            }
+        }, 1000);
+    }
+
+    cancelAutoplay() {
+        if (!this.autoplayTimer) return;
+        clearInterval(this.autoplayTimer);
+        this.autoplayTimer = null;
+        this.displayEpisodeNav();
+    }
+
+    // eventType is 'play' for a fresh load and 'source_switch' when changing servers.
+    // Unhealthy sources are skipped, advancing to the next one that works
+    async loadPlayer(eventType = 'play') {
+        if (!this.currentSeries || this.loadedSeason !== this.currentSeason) return;
+
+        const currentEp = this.findLoadedEpisode(this.currentEpisode);
 
         if (!currentEp || !currentEp.sources) return;
 
-        const sourceKey = `source${this.currentSource}`;
-        const iframeSrc = currentEp.sources[sourceKey] || currentEp.sources.source1;
+        const { source, iframe: iframeSrc, sources, embedHosts } = await resolveSource(
+            this.currentSeries.id,
+            currentEp.sources,
+            this.currentProvider,
+            { season: this.currentSeason, episode: this.currentEpisode }
+        );
+        this.currentProvider = source.provider;
+        renderSourceButtons(sources, this.currentProvider);
+
+        const src = safeEmbedURL(iframeSrc, embedHosts);
+        if (!src) {
+            this.showError('This server cannot be played here, please try another one');
+            return;
+        }
+
+        window.viewMaxAPI.trackEvent({
+            type: eventType,
+            titleId: this.currentSeries.id,
+            season: this.currentSeason,
+            episode: this.currentEpisode,
+            source: this.currentProvider
+        });
+        this.reportProgress();
 
         const playerElement = document.getElementById('episode-iframe');
         if (playerElement) {
-            playerElement.src = iframeSrc;
+            this.clearError();
+            playerElement.src = src;
         }
     }
 
     setupSourceButtons() {
-        const buttons = document.querySelectorAll('#player-buttons button');
-        buttons.forEach((button, index) => {
-            button.addEventListener('click', () => {
-                this.changeSource(index + 1);
-            });
-        });
+        bindSourceButtons(provider => this.changeSource(provider));
     }
 
-    changeSource(sourceNumber) {
-        this.currentSource = sourceNumber;
-        
-        const buttons = document.querySelectorAll('#player-buttons button');
-        buttons.forEach((btn, index) => {
-            btn.classList.toggle('active', index + 1 === sourceNumber);
+    changeSource(provider) {
+        this.currentProvider = provider;
+        this.loadPlayer('source_switch');
+    }
+
+    // The iframe the current episode plays in, if any
+    frame() {
+        return document.getElementById('episode-iframe');
+    }
+
+    // Called when the embedded player reports that the episode finished
+    markCompleted() {
+        if (!this.currentSeries) return;
+        window.viewMaxAPI.trackEvent({
+            type: 'complete',
+            titleId: this.currentSeries.id,
+            season: this.currentSeason,
+            episode: this.currentEpisode,
+            source: this.currentProvider
         });
+        this.reportProgress(true);
 
-        this.loadPlayer();
+        if (this.isAutoplayEnabled()) {
+            this.startAutoplayCountdown().catch(error => {
+                console.error('Error starting autoplay:', error);
+            });
+        }
+    }
+
+    // Resume at the signed-in user's last episode and source for this series.
+    // The episode and source are checked by settleCurrentEpisode once the season loads
+    async restoreProgress() {
+        if (!window.viewMaxAPI.isSignedIn()) return;
+
+        try {
+            const { data } = await window.viewMaxAPI.getProgress(this.currentSeries.id);
+            if (this.seasons.some(season => season.number === data.season)) {
+                this.currentSeason = data.season;
+                this.currentEpisode = data.episode;
+                this.currentProvider = data.source || null;
+            }
+        } catch (error) {
+            // No saved progress yet: start from the first episode
+        }
+    }
+
+    // Sync the current episode and source to the signed-in user's progress
+    reportProgress(completed = false) {
+        window.viewMaxAPI.saveProgress(this.currentSeries.id, {
+            season: this.currentSeason,
+            episode: this.currentEpisode,
+            source: this.currentProvider,
+            completed
+        });
     }
 
     async loadSuggestions() {
         try {
-            const response = await window.viewMaxAPI.getSeries({ limit: 6 });
+            const response = await window.viewMaxAPI.getSimilarSeries(this.currentSeries.id, { limit: 6 });
             if (response.success) {
                 this.displaySuggestions(response.data);
             }
@@ -424,17 +1339,16 @@ class SeriesPlayer {
         const suggestionsContainer = document.getElementById('suggestions');
         if (!suggestionsContainer) return;
 
-        suggestionsContainer.innerHTML = series.map(show => `
-            <div class="suggestion-item" onclick="window.seriesPlayer.loadSeries('${show.name}')">
-                <img src="${show.image}" alt="${show.name}" loading="lazy">
-                <p>${show.name}</p>
-            </div>
-        `).join('');
+        suggestionsContainer.replaceChildren(...series.map(show => el('div', {
+            className: 'suggestion-item',
+            dataset: { action: 'open-series', id: show.id }
+        }, el('img', { src: show.image, alt: show.name, loading: 'lazy' }), el('p', {}, show.name))));
     }
 
     showError(message) {
         const playerElement = document.getElementById('episode-iframe');
         if (playerElement) {
+            this.clearError();
             playerElement.style.display = 'none';
             const errorDiv = document.createElement('div');
             errorDiv.className = 'error-message';
@@ -442,6 +1356,15 @@ class SeriesPlayer {
             playerElement.parentNode.insertBefore(errorDiv, playerElement);
         }
     }
+
+    // Remove the message left by showError and bring the player back
+    clearError() {
+        const playerElement = document.getElementById('episode-iframe');
+        if (!playerElement) return;
+        const previous = playerElement.previousElementSibling;
+        if (previous && previous.classList.contains('error-message')) previous.remove();
+        playerElement.style.display = '';
+    }
 }
 
 // Search Integration
@@ -464,6 +1387,12 @@ class SearchManager {
             this.mobileSearchInput.addEventListener('input', (e) => this.handleSearch(e, true));
         }
 
+        [this.suggestionsList, this.mobileSuggestionsList].filter(Boolean).forEach(list => {
+            delegate(list, 'click', {
+                'open-title': item => this.selectItem(item.dataset.id, item.dataset.type)
+            });
+        });
+
         // Handle search from URL parameters
         const urlParams = new URLSearchParams(window.location.search);
         const searchQuery = urlParams.get('q');
@@ -489,7 +1418,10 @@ class SearchManager {
 
     async showSuggestions(query, isMobile) {
         try {
-            const response = await window.viewMaxAPI.search(query, { limit: 8 });
+            const [response] = await Promise.all([
+                window.viewMaxAPI.search(query, { limit: 8 }),
+                window.userLists.load()
+            ]);
             if (response.success) {
                 this.displaySuggestions(response.data, isMobile);
             }
@@ -503,32 +1435,41 @@ class SearchManager {
         if (!suggestionsList) return;
 
         if (results.length === 0) {
-            suggestionsList.innerHTML = '<li class="no-results">No results found</li>';
+            suggestionsList.replaceChildren(el('li', { className: 'no-results' }, 'No results found'));
             suggestionsList.style.display = 'block';
             return;
         }
 
-        suggestionsList.innerHTML = results.map(item => `
-            <li class="suggestion-item" onclick="window.searchManager.selectItem('${item.name}', '${item.type}')">
-                <img src="${item.image}" alt="${item.name}" loading="lazy">
-                <div class="suggestion-info">
-                    <h4>${item.name}</h4>
-                    <p>${item.type === 'movie' ? 'Movie' : 'TV Series'} • ${item.genre}</p>
-                    <span class="rating">⭐ ${item.rating}</span>
-                </div>
-            </li>
-        `).join('');
+        suggestionsList.replaceChildren(...results.map(item => {
+            const highlight = (field, fallback) => {
+                const match = (item.highlights || []).find(h => h.field === field);
+                return match ? highlightText(match.text, match.matches) : fallback;
+            };
+            const snippet = (item.highlights || []).some(h => h.field === 'description') &&
+                el('p', { className: 'suggestion-snippet' }, highlight('description'));
+
+            return el('li', { className: 'suggestion-item', dataset: { action: 'open-title', id: item.id, type: item.type } },
+                el('img', { src: item.image, alt: item.name, loading: 'lazy' }),
+                el('div', { className: 'suggestion-info' },
+                    el('h4', {}, highlight('name', item.name)),
+                    el('p', {}, `${item.type === 'movie' ? 'Movie' : 'TV Series'} • `, highlight('genre', item.genre)),
+                    snippet,
+                    el('span', { className: 'rating' }, `⭐ ${item.rating}`)
+                ),
+                el('div', { className: 'list-actions' }, window.userLists.renderToggles(item.id))
+            );
+        }));
 
         suggestionsList.style.display = 'block';
     }
 
-    selectItem(name, type) {
-        localStorage.setItem(type === 'movie' ? 'currentMovie' : 'currentSeries', name);
+    selectItem(id, type) {
+        localStorage.setItem(type === 'movie' ? 'currentMovie' : 'currentSeries', id);
         
         if (type === 'movie') {
-            window.location.href = `player.html?movie=${encodeURIComponent(name)}`;
+            window.location.href = `player.html?movie=${encodeURIComponent(id)}`;
         } else {
-            window.location.href = `Seriesplayer.html?series=${encodeURIComponent(name)}`;
+            window.location.href = `Seriesplayer.html?series=${encodeURIComponent(id)}`;
         }
     }
 
@@ -556,32 +1497,167 @@ class SearchManager {
     }
 }
 
+// Filter sidebar integration: shows how many titles each filter option will return,
+// from the genre, year and rating facets of the list endpoints. Year and rating
+// filters are added next to the genre filter; every facet counts with the other
+// selected filters applied.
+class FilterCounts {
+    constructor() {
+        this.typeFilter = document.getElementById('typeFilter');
+        this.genreFilter = document.getElementById('genreFilter');
+        this.yearFilter = null;
+        this.ratingFilter = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.genreFilter) return;
+
+        // Keep the original labels so counts can be re-applied
+        Array.from(this.genreFilter.options).forEach(option => {
+            option.dataset.label = option.textContent.trim();
+        });
+
+        const genreGroup = this.genreFilter.closest('.filter-group') || this.genreFilter;
+        this.yearFilter = this.addFilter(genreGroup, 'yearFilter', 'Year', 'All Years');
+        this.ratingFilter = this.addFilter(this.yearFilter.closest('.filter-group') || this.yearFilter, 'ratingFilter', 'Rating', 'Any Rating');
+
+        [this.typeFilter, this.genreFilter, this.yearFilter, this.ratingFilter].forEach(select => {
+            if (select) select.addEventListener('change', () => this.updateCounts());
+        });
+
+        this.updateCounts();
+    }
+
+    // A filter select in the same markup as the genre filter, placed after `anchor`
+    addFilter(anchor, id, label, allLabel) {
+        const existing = document.getElementById(id);
+        if (existing) return existing;
+
+        const select = el('select', { id, className: 'filter-select', 'aria-label': label },
+            el('option', { value: 'all', dataset: { label: allLabel } }, allLabel));
+        anchor.after(el('div', { className: 'filter-group' },
+            el('span', { className: 'filter-label' }, `${label}:`), select));
+        return select;
+    }
+
+    // The selected filters as list endpoint parameters
+    query() {
+        const params = { limit: 1 };
+        if (this.genreFilter.value !== 'all') params.genre = this.genreFilter.value;
+        if (this.yearFilter.value !== 'all') {
+            params.yearFrom = this.yearFilter.value;
+            params.yearTo = this.yearFilter.value;
+        }
+        if (this.ratingFilter.value !== 'all') params.minRating = this.ratingFilter.value;
+        return params;
+    }
+
+    async updateCounts() {
+        const type = this.typeFilter ? this.typeFilter.value : 'all';
+        const params = this.query();
+
+        try {
+            const responses = await Promise.all([
+                type !== 'series' ? window.viewMaxAPI.getMovies(params) : null,
+                type !== 'movie' ? window.viewMaxAPI.getSeries(params) : null
+            ]);
+
+            let total = 0;
+            const genres = new Map();
+            const years = new Map();
+            const ratings = new Map();
+            const add = (counts, key, count) => counts.set(key, (counts.get(key) || 0) + count);
+            responses.filter(Boolean).forEach(({ total: count, facets }) => {
+                total += count;
+                facets.genres.forEach(({ value, count }) => add(genres, value.toLowerCase(), count));
+                facets.years.forEach(({ value, count }) => add(years, String(value), count));
+                facets.ratings.forEach(({ min, count }) => add(ratings, String(min), count));
+            });
+
+            Array.from(this.genreFilter.options).forEach(option => {
+                const count = option.value === 'all' ? this.allCount(this.genreFilter, total) : genres.get(option.value.toLowerCase()) || 0;
+                option.textContent = count === null ? option.dataset.label : `${option.dataset.label} (${count})`;
+            });
+
+            this.setOptions(this.yearFilter, [...years].map(([year, count]) => ({ value: year, label: year, count })), total);
+            this.setOptions(this.ratingFilter, [...ratings].map(([min, count]) => ({ value: min, label: `${min}+`, count })), total);
+        } catch (error) {
+            console.error('Error loading filter counts:', error);
+        }
+    }
+
+    // The "all" option matches the current results only while it is the one selected
+    allCount(select, total) {
+        return select.value === 'all' ? total : null;
+    }
+
+    // Replace a generated filter's options, highest value first, keeping the selection
+    setOptions(select, entries, total) {
+        const selected = select.value;
+        const all = select.options[0];
+        const count = this.allCount(select, total);
+        all.textContent = count === null ? all.dataset.label : `${all.dataset.label} (${count})`;
+
+        if (selected !== 'all' && !entries.some(entry => entry.value === selected)) {
+            entries.push({ value: selected, label: select.selectedOptions[0].dataset.label, count: 0 });
+        }
+        entries.sort((a, b) => Number(b.value) - Number(a.value));
+        select.replaceChildren(all, ...entries.map(({ value, label, count }) =>
+            el('option', { value, dataset: { label } }, `${label} (${count})`)));
+        select.value = selected;
+    }
+}
+
 // Initialize components when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    // Saved lists back the watchlist/favorite toggles on every page
+    window.userLists = new UserLists();
+
     // Initialize search manager on all pages
     window.searchManager = new SearchManager();
 
-    // Initialize appropriate player based on current page
-    if (window.location.pathname.includes('player.html')) {
+    // Show result counts next to the genre, year and rating filter options
+    if (document.getElementById('genreFilter')) {
+        window.filterCounts = new FilterCounts();
+    }
+
+    // Initialize appropriate player based on current page; match the whole file
+    // name, since "Seriesplayer.html" also contains "player.html"
+    const page = window.location.pathname.split('/').pop();
+    if (page === 'player.html') {
         window.moviePlayer = new MoviePlayer();
         
-        // Global function for changing sources (called from HTML)
-        window.changeSource = (sourceNumber) => {
+        // Global function for changing sources by provider name
+        window.changeSource = (provider) => {
             if (window.moviePlayer) {
-                window.moviePlayer.changeSource(sourceNumber);
+                window.moviePlayer.changeSource(provider);
             }
         };
-    } else if (window.location.pathname.includes('Seriesplayer.html')) {
+    } else if (page === 'Seriesplayer.html') {
         window.seriesPlayer = new SeriesPlayer();
         
         // Global functions for series player
-        window.changeSource = (sourceNumber) => {
+        window.changeSource = (provider) => {
             if (window.seriesPlayer) {
-                window.seriesPlayer.changeSource(sourceNumber);
+                window.seriesPlayer.changeSource(provider);
             }
         };
     }
 
+    // Embedded players that post an "ended" message count as a completed play.
+    // Only the player's own iframe, at the origin of the embed URL it was given, is listened to.
+    window.addEventListener('message', (event) => {
+        const player = window.moviePlayer || window.seriesPlayer;
+        const frame = player ? player.frame() : null;
+        const embed = frame ? safeURL(frame.src) : null;
+        if (!embed || event.source !== frame.contentWindow || event.origin !== new URL(embed).origin) return;
+
+        const message = event.data || {};
+        const ended = message === 'ended' || message.event === 'ended' || message.type === 'ended';
+        if (ended) player.markCompleted();
+    });
+
     // Test API connection
     window.viewMaxAPI.healthCheck()
         .then(response => {
@@ -594,5 +1670,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ViewMaxAPI, MoviePlayer, SeriesPlayer, SearchManager };
+    module.exports = { ViewMaxAPI, MoviePlayer, SeriesPlayer, SearchManager, FilterCounts, UserLists };
 }
\ No newline at end of file
@@ -86,40 +86,24 @@ export default function Home() {
         </div>
 
         <div className="bg-white rounded-lg p-8 shadow-lg">
-          <h2 className="text-2xl font-bold mb-6 text-gray-800">API Endpoints</h2>
-
-          <div className="space-y-4">
-            <div className="border-l-4 border-blue-500 pl-4">
-              <h4 className="font-semibold text-gray-800">GET /api/movies</h4>
-              <p className="text-gray-600">Get all movies or search/filter movies</p>
-              <code className="text-sm bg-gray-100 px-2 py-1 rounded">?search=term&genre=action&limit=10&offset=0</code>
-            </div>
-
-            <div className="border-l-4 border-purple-500 pl-4">
-              <h4 className="font-semibold text-gray-800">GET /api/series</h4>
-              <p className="text-gray-600">Get all series or search/filter series</p>
-              <code className="text-sm bg-gray-100 px-2 py-1 rounded">?search=term&genre=comedy&limit=10&offset=0</code>
-            </div>
-
-            <div className="border-l-4 border-green-500 pl-4">
-              <h4 className="font-semibold text-gray-800">GET /api/series/[title]/episodes</h4>
-              <p className="text-gray-600">Get episodes for a specific series</p>
-              <code className="text-sm bg-gray-100 px-2 py-1 rounded">?season=1&episode=1</code>
-            </div>
-
-            <div className="border-l-4 border-red-500 pl-4">
-              <h4 className="font-semibold text-gray-800">GET /api/iframe</h4>
-              <p className="text-gray-600">Get iframe streaming sources</p>
-              <code className="text-sm bg-gray-100 px-2 py-1 rounded">
-                ?title=Movie Title&source=primary&season=1&episode=1
-              </code>
-            </div>
-
-            <div className="border-l-4 border-yellow-500 pl-4">
-              <h4 className="font-semibold text-gray-800">GET /api/search</h4>
-              <p className="text-gray-600">Universal search across movies and series</p>
-              <code className="text-sm bg-gray-100 px-2 py-1 rounded">?q=search term&type=movie&genre=action</code>
-            </div>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800">API Reference</h2>
+          <p className="text-gray-600 mb-6">
+            Every endpoint, with its parameters, request bodies and response shapes, is documented from the route
+            definitions themselves. Try requests from the browser, or load the OpenAPI document into your own tooling.
+          </p>
+          <div className="flex flex-wrap gap-4">
+            <Link
+              href="/api/docs"
+              className="inline-block bg-gray-800 text-white px-4 py-2 rounded hover:bg-gray-900 transition-colors"
+            >
+              Open API Docs
+            </Link>
+            <Link
+              href="/api/openapi.json"
+              className="inline-block bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 transition-colors"
+            >
+              Download openapi.json
+            </Link>
           </div>
         </div>
       </div>
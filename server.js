@@ -2,16 +2,59 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
-import rateLimit from 'express-rate-limit';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import fs from 'fs/promises';
+import { storage } from './server/storage.js';
+import { catalogStore } from './server/catalog-store.js';
+import { parseCatalogQuery, applyFilters, applySort, computeFacets } from './server/catalog-query.js';
+import { eventLog, TRENDING_WINDOWS } from './server/events.js';
+import { authenticate } from './server/auth.js';
+import { getUserData } from './server/user-data.js';
+import { sourceHealth } from './server/source-health.js';
+import { selectSource } from './server/sources.js';
+import { providerRegistry, withResolvedSources } from './server/providers.js';
+import { sortEpisodes } from './server/catalog-validation.js';
+import { listSeasons, findSeason } from './server/seasons.js';
+import { ValidationError, sendError } from './server/errors.js';
+import { logger } from './server/logger.js';
+import { config } from './server/config.js';
+import { staticFiles, checkStaticExposure } from './server/static-files.js';
+import { requestContext } from './server/request-context.js';
+import { rateLimiter } from './server/rate-limits.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from './server/metrics.js';
+import {
+  defineRoutes,
+  buildOpenAPI,
+  listEndpoints,
+  ref,
+  list,
+  ok,
+  PAGE_QUERY,
+  PAGE_FIELDS,
+  MAX_PAGE_SIZE,
+  CATALOG_FILTER_QUERY,
+  API_VERSION
+} from './server/api-spec.js';
+import authRouter from './server/routes/auth.js';
+import catalogAdminRouter from './server/routes/catalog-admin.js';
+import eventsRouter from './server/routes/events.js';
+import meRouter from './server/routes/me.js';
+import adminRouter from './server/routes/admin.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// Client addresses (rate limits, logs) come from X-Forwarded-For only behind these proxies
+app.set('trust proxy', config.trustProxy);
+
+// Content-hash ETags on every response body; a matching If-None-Match gets a 304
+app.set('etag', 'strong');
+
+// Request ids, structured request logs and request metrics
+app.use(requestContext());
 
 // Security middleware
 app.use(helmet({
@@ -19,235 +62,255 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // limit each IP to 1000 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
+// Rate limiting, see config.rateLimits; some routes add a tighter policy of their own
+app.use('/api/', rateLimiter('api'));
 
 // CORS configuration
 app.use(cors({
-  origin: ['http://localhost:3000', 'http://127.0.0.1:3000', '*'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  origin: config.cors.origins.includes('*') ? '*' : config.cors.origins,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-None-Match', 'If-Modified-Since', 'X-Request-Id'],
+  exposedHeaders: ['ETag', 'Last-Modified', 'X-Request-Id']
 }));
 
 // Compression middleware
 app.use(compression());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({ limit: config.bodyLimits.json }));
+app.use(express.urlencoded({ extended: true, limit: config.bodyLimits.form }));
 
-// Serve static files
-app.use(express.static('.'));
+// Serve the website's public files only, see static-files.js
+app.use(staticFiles());
 
-// Helper function to read JSON files
-async function readJSONFile(filename) {
-  try {
-    const filePath = join(__dirname, 'data', filename);
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(`Error reading ${filename}:`, error);
-    return [];
-  }
-}
+// Attach req.user for requests carrying an access token
+app.use('/api', authenticate);
 
-// Helper function to write JSON files
-async function writeJSONFile(filename, data) {
-  try {
-    const filePath = join(__dirname, 'data', filename);
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-    return true;
-  } catch (error) {
-    console.error(`Error writing ${filename}:`, error);
-    return false;
-  }
+// Redirect a lookup made by name or retired slug to the title's canonical URL
+function redirectToCanonical(req, res, item) {
+  const [path, query] = req.originalUrl.split('?');
+  const segments = path.split('/');
+  segments[3] = encodeURIComponent(item.slug);
+  res.redirect(301, segments.join('/') + (query ? `?${query}` : ''));
 }
 
-// API Routes
+// API Routes, documented in the OpenAPI document at /api/openapi.json
+const api = defineRoutes(app);
+
+const FACETS = { facets: { type: 'object', description: 'Counts per genre, year and rating band for the other filters' } };
+const SEASON_EPISODE_QUERY = {
+  season: { type: 'integer', minimum: 1, required: true },
+  episode: { type: 'integer', minimum: 1, required: true }
+};
 
 // Get all movies
-app.get('/api/movies', async (req, res) => {
+api.get('/api/movies', {
+  summary: 'List movies',
+  tags: ['Movies'],
+  query: {
+    search: { type: 'string', description: 'Only movies matching this text, ordered by relevance' },
+    ...PAGE_QUERY,
+    ...CATALOG_FILTER_QUERY
+  },
+  responses: { 200: ok(list(ref('Movie')), { ...PAGE_FIELDS, ...FACETS }) }
+}, async (req, res) => {
   try {
-    const { search, genre, limit = 20, offset = 0 } = req.query;
-    let movies = await readJSONFile('movies.json');
+    const { search, limit, offset } = req.query;
+    const options = parseCatalogQuery(req.query);
+    let movies = catalogStore.movies;
     
-    // Apply search filter
+    // Apply search filter, ordering matches by relevance
     if (search) {
-      const searchTerm = search.toLowerCase();
-      movies = movies.filter(movie => 
-        movie.name.toLowerCase().includes(searchTerm) ||
-        movie.description.toLowerCase().includes(searchTerm) ||
-        movie.genre.toLowerCase().includes(searchTerm)
-      );
+      movies = catalogStore.searchIndex.search(search, { types: ['movie'] })
+        .map(result => result.item);
     }
     
-    // Apply genre filter
-    if (genre && genre !== 'all') {
-      movies = movies.filter(movie => 
-        movie.genre.toLowerCase().includes(genre.toLowerCase())
-      );
-    }
+    // Apply genre, year and rating filters, then sorting
+    const facets = computeFacets(movies, options);
+    movies = applySort(applyFilters(movies, options), options);
     
     // Apply pagination
-    const startIndex = parseInt(offset);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedMovies = movies.slice(startIndex, endIndex);
+    const endIndex = offset + limit;
+    const paginatedMovies = movies.slice(offset, endIndex);
     
     res.json({
       success: true,
       data: paginatedMovies,
       total: movies.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      hasMore: endIndex < movies.length
+      limit,
+      offset,
+      hasMore: endIndex < movies.length,
+      facets
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch movies',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch movies');
   }
 });
 
-// Get single movie by name
-app.get('/api/movies/:name', async (req, res) => {
+// Get single movie by id or slug
+api.get('/api/movies/:id', {
+  summary: 'Get a movie with its resolved sources',
+  tags: ['Movies'],
+  params: { id: 'Movie id or slug; other names redirect to the canonical URL' },
+  responses: { 200: ok(ref('Movie')), 301: { description: 'Redirect to the canonical slug' }, 404: 'Movie not found' }
+}, async (req, res) => {
   try {
-    const movies = await readJSONFile('movies.json');
-    const movie = movies.find(m => 
-      m.name.toLowerCase() === req.params.name.toLowerCase()
-    );
+    const match = catalogStore.resolve('movies', req.params.id);
     
-    if (!movie) {
+    if (!match) {
       return res.status(404).json({
         success: false,
         error: 'Movie not found'
       });
     }
     
+    if (!match.canonical) {
+      return redirectToCanonical(req, res, match.item);
+    }
+    
+    const movie = withResolvedSources('movies', match.item);
+    
     res.json({
       success: true,
       data: movie
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch movie',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch movie');
   }
 });
 
 // Get all series
-app.get('/api/series', async (req, res) => {
+api.get('/api/series', {
+  summary: 'List series',
+  tags: ['Series'],
+  query: {
+    search: { type: 'string', description: 'Only series matching this text, ordered by relevance' },
+    ...PAGE_QUERY,
+    ...CATALOG_FILTER_QUERY
+  },
+  responses: { 200: ok(list(ref('Series')), { ...PAGE_FIELDS, ...FACETS }) }
+}, async (req, res) => {
   try {
-    const { search, genre, limit = 20, offset = 0 } = req.query;
-    let series = await readJSONFile('series.json');
+    const { search, limit, offset } = req.query;
+    const options = parseCatalogQuery(req.query);
+    let series = catalogStore.series;
     
-    // Apply search filter
+    // Apply search filter, ordering matches by relevance
     if (search) {
-      const searchTerm = search.toLowerCase();
-      series = series.filter(show => 
-        show.name.toLowerCase().includes(searchTerm) ||
-        show.description.toLowerCase().includes(searchTerm) ||
-        show.genre.toLowerCase().includes(searchTerm)
-      );
+      series = catalogStore.searchIndex.search(search, { types: ['series'] })
+        .map(result => result.item);
     }
     
-    // Apply genre filter
-    if (genre && genre !== 'all') {
-      series = series.filter(show => 
-        show.genre.toLowerCase().includes(genre.toLowerCase())
-      );
-    }
+    // Apply genre, year and rating filters, then sorting
+    const facets = computeFacets(series, options);
+    series = applySort(applyFilters(series, options), options);
     
     // Apply pagination
-    const startIndex = parseInt(offset);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedSeries = series.slice(startIndex, endIndex);
+    const endIndex = offset + limit;
+    const paginatedSeries = series.slice(offset, endIndex);
     
     res.json({
       success: true,
       data: paginatedSeries,
       total: series.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      hasMore: endIndex < series.length
+      limit,
+      offset,
+      hasMore: endIndex < series.length,
+      facets
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch series',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch series');
   }
 });
 
-// Get single series by name
-app.get('/api/series/:name', async (req, res) => {
+// Get single series by id or slug, with its seasons.
+// ?episodes=false leaves out the episode list (use the per-season listing instead)
+api.get('/api/series/:id', {
+  summary: 'Get a series with its seasons',
+  tags: ['Series'],
+  params: { id: 'Series id or slug; other names redirect to the canonical URL' },
+  query: {
+    episodes: { type: 'boolean', default: true, description: 'false leaves out the episode list' }
+  },
+  responses: { 200: ok(ref('Series')), 301: { description: 'Redirect to the canonical slug' }, 404: 'Series not found' }
+}, async (req, res) => {
   try {
-    const series = await readJSONFile('series.json');
-    const show = series.find(s => 
-      s.name.toLowerCase() === req.params.name.toLowerCase()
-    );
+    const { episodes } = req.query;
+    const match = catalogStore.resolve('series', req.params.id);
     
-    if (!show) {
+    if (!match) {
       return res.status(404).json({
         success: false,
         error: 'Series not found'
       });
     }
     
+    if (!match.canonical) {
+      return redirectToCanonical(req, res, match.item);
+    }
+    
+    const show = !episodes
+      ? { ...match.item, episodes: undefined }
+      : withResolvedSources('series', match.item);
+    
     res.json({
       success: true,
-      data: show
+      data: { ...show, seasons: listSeasons(match.item) }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch series',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch series');
   }
 });
 
 // Get episodes for a series
-app.get('/api/series/:name/episodes', async (req, res) => {
+api.get('/api/series/:id/episodes', {
+  summary: 'List a series\' episodes',
+  tags: ['Series'],
+  params: { id: 'Series id or slug' },
+  query: {
+    season: { type: 'integer', minimum: 1, description: 'Only this season' },
+    episode: { type: 'integer', minimum: 1, description: 'Only this episode number' }
+  },
+  responses: {
+    200: ok(list(ref('Episode')), { seriesInfo: { type: 'object', description: 'The series without its episodes' } }),
+    404: 'Series not found'
+  }
+}, async (req, res) => {
   try {
     const { season, episode } = req.query;
-    const series = await readJSONFile('series.json');
-    const show = series.find(s => 
-      s.name.toLowerCase() === req.params.name.toLowerCase()
-    );
+    const match = catalogStore.resolve('series', req.params.id);
     
-    if (!show) {
+    if (!match) {
       return res.status(404).json({
         success: false,
         error: 'Series not found'
       });
     }
     
-    let episodes = show.episodes || [];
+    if (!match.canonical) {
+      return redirectToCanonical(req, res, match.item);
+    }
+    
+    const show = withResolvedSources('series', match.item);
+    
+    let episodes = show.episodes;
     
     // Filter by season if specified
     if (season) {
-      episodes = episodes.filter(ep => ep.season === parseInt(season));
+      episodes = episodes.filter(ep => ep.season === season);
     }
     
     // Filter by episode if specified
     if (episode) {
-      episodes = episodes.filter(ep => ep.episode === parseInt(episode));
+      episodes = episodes.filter(ep => ep.episode === episode);
     }
     
     res.json({
       success: true,
       data: episodes,
       seriesInfo: {
+        id: show.id,
+        slug: show.slug,
         name: show.name,
         description: show.description,
         genre: show.genre,
@@ -257,169 +320,391 @@ app.get('/api/series/:name/episodes', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch episodes',
-      message: error.message
+    sendError(res, error, 'Failed to fetch episodes');
+  }
+});
+
+// Season metadata with episode counts
+api.get('/api/series/:id/seasons', {
+  summary: 'List a series\' seasons with episode counts',
+  tags: ['Series'],
+  params: { id: 'Series id or slug' },
+  responses: { 200: ok(list(ref('Season'))), 404: 'Series not found' }
+}, async (req, res) => {
+  try {
+    const match = catalogStore.resolve('series', req.params.id);
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: 'Series not found'
+      });
+    }
+    
+    if (!match.canonical) {
+      return redirectToCanonical(req, res, match.item);
+    }
+    
+    res.json({
+      success: true,
+      data: listSeasons(match.item)
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch seasons');
   }
 });
 
-// Universal search endpoint
-app.get('/api/search', async (req, res) => {
+// One season's episodes, a page at a time
+api.get('/api/series/:id/seasons/:season/episodes', {
+  summary: 'Page through one season\'s episodes',
+  tags: ['Series'],
+  params: { id: 'Series id or slug', season: { type: 'integer', minimum: 1, description: 'Season number' } },
+  query: { ...PAGE_QUERY, limit: { ...PAGE_QUERY.limit, default: 50 } },
+  responses: {
+    200: ok(list(ref('Episode')), { season: ref('Season'), total: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' } }),
+    404: 'Series or season not found'
+  }
+}, async (req, res) => {
   try {
-    const { q, type, genre, limit = 20, offset = 0 } = req.query;
+    const { limit, offset } = req.query;
+    const match = catalogStore.resolve('series', req.params.id);
     
-    if (!q) {
-      return res.status(400).json({
+    if (!match) {
+      return res.status(404).json({
         success: false,
-        error: 'Search query is required'
+        error: 'Series not found'
       });
     }
     
-    const searchTerm = q.toLowerCase();
-    let results = [];
-    
-    // Search movies
-    if (!type || type === 'movie' || type === 'all') {
-      const movies = await readJSONFile('movies.json');
-      const movieResults = movies
-        .filter(movie => 
-          movie.name.toLowerCase().includes(searchTerm) ||
-          movie.description.toLowerCase().includes(searchTerm) ||
-          movie.genre.toLowerCase().includes(searchTerm)
-        )
-        .map(movie => ({ ...movie, type: 'movie' }));
-      results = results.concat(movieResults);
+    if (!match.canonical) {
+      return redirectToCanonical(req, res, match.item);
     }
     
-    // Search series
-    if (!type || type === 'series' || type === 'all') {
-      const series = await readJSONFile('series.json');
-      const seriesResults = series
-        .filter(show => 
-          show.name.toLowerCase().includes(searchTerm) ||
-          show.description.toLowerCase().includes(searchTerm) ||
-          show.genre.toLowerCase().includes(searchTerm)
-        )
-        .map(show => ({ ...show, type: 'series' }));
-      results = results.concat(seriesResults);
+    const season = findSeason(match.item, req.params.season);
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: `Season ${req.params.season} not found`
+      });
     }
     
-    // Apply genre filter
-    if (genre && genre !== 'all') {
-      results = results.filter(item => 
-        item.genre.toLowerCase().includes(genre.toLowerCase())
-      );
+    const episodes = sortEpisodes(
+      (match.item.episodes || []).filter(ep => ep.season === season.number)
+    );
+    const page = episodes.slice(offset, offset + limit);
+    
+    res.json({
+      success: true,
+      data: page.map(ep => ({ ...ep, sources: providerRegistry.resolve(match.item, ep) })),
+      season,
+      total: episodes.length,
+      limit,
+      offset
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch episodes');
+  }
+});
+
+// Step from one episode to the next or previous one, crossing season boundaries.
+// data is null at either end of the series.
+function adjacentEpisode(direction) {
+  return async (req, res) => {
+    try {
+      const { season, episode } = req.query;
+      const match = catalogStore.resolve('series', req.params.id);
+      
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: 'Series not found'
+        });
+      }
+      
+      if (!match.canonical) {
+        return redirectToCanonical(req, res, match.item);
+      }
+
+      const episodes = sortEpisodes([...(match.item.episodes || [])]);
+      const index = episodes.findIndex(ep => ep.season === season && ep.episode === episode);
+      if (index === -1) {
+        return res.status(404).json({
+          success: false,
+          error: `Episode S${season}E${episode} not found`
+        });
+      }
+
+      const adjacent = episodes[index + direction] || null;
+      res.json({
+        success: true,
+        data: adjacent && { ...adjacent, sources: providerRegistry.resolve(match.item, adjacent) },
+        current: { season, episode },
+        crossesSeason: Boolean(adjacent) && adjacent.season !== season
+      });
+    } catch (error) {
+      sendError(res, error, `Failed to fetch ${direction > 0 ? 'next' : 'previous'} episode`);
+    }
+  };
+}
+
+const ADJACENT_EPISODE = {
+  tags: ['Series'],
+  params: { id: 'Series id or slug' },
+  query: SEASON_EPISODE_QUERY,
+  responses: {
+    200: ok({ allOf: [ref('Episode')], nullable: true }, {
+      current: { type: 'object', properties: { season: { type: 'integer' }, episode: { type: 'integer' } } },
+      crossesSeason: { type: 'boolean' }
+    }),
+    404: 'Series or episode not found'
+  }
+};
+
+api.get('/api/series/:id/episodes/next', {
+  ...ADJACENT_EPISODE,
+  summary: 'The episode after the given one; data is null at the end of the series'
+}, adjacentEpisode(1));
+api.get('/api/series/:id/episodes/previous', {
+  ...ADJACENT_EPISODE,
+  summary: 'The episode before the given one; data is null at the start of the series'
+}, adjacentEpisode(-1));
+
+// "More like this" for a movie or series; signed-in users' watch history shapes the ranking
+function similarTitles(kind, label) {
+  return async (req, res) => {
+    try {
+      const { limit } = req.query;
+      const match = catalogStore.resolve(kind, req.params.id);
+
+      if (!match) {
+        return res.status(404).json({
+          success: false,
+          error: `${label} not found`
+        });
+      }
+
+      if (!match.canonical) {
+        return redirectToCanonical(req, res, match.item);
+      }
+
+      const history = req.user ? Object.values((await getUserData(req.user.id)).progress) : [];
+      const results = catalogStore.similarityIndex.similar(match.item.id, {
+        limit,
+        history
+      });
+
+      res.json({
+        success: true,
+        data: results.map(({ item, score }) => ({ ...item, similarity: score })),
+        personalized: history.length > 0
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch similar titles');
+    }
+  };
+}
+
+function similarDefinition(tag, schema) {
+  return {
+    summary: `${tag} like this one, shaped by the signed-in user's watch history`,
+    tags: [tag],
+    auth: 'optional',
+    cache: 'private',
+    params: { id: `${tag === 'Movies' ? 'Movie' : 'Series'} id or slug` },
+    query: { limit: { type: 'integer', minimum: 1, maximum: 50, default: 6 } },
+    responses: {
+      200: ok(list({ allOf: [schema, { properties: { similarity: { type: 'number' } } }] }), {
+        personalized: { type: 'boolean' }
+      }),
+      404: 'Title not found'
     }
+  };
+}
+
+api.get('/api/movies/:id/similar', similarDefinition('Movies', ref('Movie')), similarTitles('movies', 'Movie'));
+api.get('/api/series/:id/similar', similarDefinition('Series', ref('Series')), similarTitles('series', 'Series'));
+
+// Universal search endpoint
+api.get('/api/search', {
+  summary: 'Search movies and series together, ranked by relevance',
+  tags: ['Discovery'],
+  query: {
+    q: { type: 'string', required: true, description: 'Search text' },
+    type: { type: 'string', enum: ['all', 'movie', 'series'], default: 'all' },
+    ...PAGE_QUERY,
+    ...CATALOG_FILTER_QUERY
+  },
+  responses: {
+    200: ok(list({ type: 'object', description: 'A movie or series with type, score and highlights' }), {
+      ...PAGE_FIELDS,
+      query: { type: 'string' },
+      ...FACETS
+    })
+  }
+}, async (req, res) => {
+  try {
+    const { q, type, limit, offset } = req.query;
+    const options = parseCatalogQuery(req.query);
+    
+    // Rank movies and series together by relevance
+    const types = !type || type === 'all' ? ['movie', 'series'] : [type];
+    let results = catalogStore.searchIndex
+      .search(q, { types })
+      .map(({ type, item, score, highlights }) => ({ ...item, type, score, highlights }));
+    
+    // Apply genre, year and rating filters; an explicit sort replaces relevance order
+    const facets = computeFacets(results, options);
+    results = applySort(applyFilters(results, options), options);
     
     // Apply pagination
-    const startIndex = parseInt(offset);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedResults = results.slice(startIndex, endIndex);
+    const endIndex = offset + limit;
+    const paginatedResults = results.slice(offset, endIndex);
     
     res.json({
       success: true,
       data: paginatedResults,
       total: results.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
+      limit,
+      offset,
       hasMore: endIndex < results.length,
-      query: q
+      query: q,
+      facets
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Search failed',
-      message: error.message
-    });
+    sendError(res, error, 'Search failed');
   }
 });
 
 // Get iframe sources for content
-app.get('/api/iframe', async (req, res) => {
+api.get('/api/iframe', {
+  summary: 'Pick an embed source for a movie or episode',
+  cache: 'dynamic',
+  description: 'Starts from the requested source and moves on to the next healthy one. ' +
+    'Series without season and episode start at their first episode.',
+  tags: ['Discovery'],
+  query: {
+    id: { type: 'string', description: 'Title id or slug (id or title is required)' },
+    title: { type: 'string', description: 'Title name' },
+    provider: { type: 'string', description: 'Preferred provider' },
+    priority: { type: 'integer', minimum: 0, description: 'Preferred source priority' },
+    source: { type: 'string', description: 'Legacy source name (primary, secondary, source1, ...)' },
+    season: { type: 'integer', minimum: 1 },
+    episode: { type: 'integer', minimum: 1 }
+  },
+  responses: {
+    200: ok({
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        type: { type: 'string', enum: ['movie', 'series'] },
+        season: { type: 'integer' },
+        episode: { type: 'integer' },
+        episodeTitle: { type: 'string' },
+        iframe: { type: 'string', description: 'The embed URL to load' },
+        source: { type: 'object' },
+        requestedProvider: { type: 'string' },
+        sources: { type: 'array', items: { type: 'object' } },
+        embedHosts: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Hosts the player may embed: those of the provider registry and of these sources'
+        }
+      }
+    }),
+    404: 'Content not found'
+  }
+}, async (req, res) => {
   try {
-    const { title, source = 'primary', season, episode } = req.query;
+    const { id, title, provider, priority, source, season, episode } = req.query;
+    const key = id || title;
+    const sourceRequest = { provider, priority, source };
+    const isHealthy = url => sourceHealth.isHealthy(url);
+    const playable = sources => ({
+      ...selectSource(sources, sourceRequest, isHealthy),
+      embedHosts: providerRegistry.embedHosts(sources)
+    });
     
-    if (!title) {
-      return res.status(400).json({
-        success: false,
-        error: 'Title is required'
-      });
+    if (!key) {
+      return sendError(res, new ValidationError([
+        { code: 'required', field: 'id', message: 'id or title is required' }
+      ]));
     }
     
     // Search in movies first
-    const movies = await readJSONFile('movies.json');
-    const movie = movies.find(m => 
-      m.name.toLowerCase() === title.toLowerCase()
-    );
+    const movie = catalogStore.resolve('movies', key)?.item;
     
-    if (movie && movie.sources) {
-      const sourceKey = source === 'primary' ? 'source1' : 
-                       source === 'secondary' ? 'source2' : 
-                       source === 'tertiary' ? 'source3' : 'source1';
-      
+    const movieSources = movie ? providerRegistry.resolve(movie) : [];
+    
+    if (movieSources.length > 0) {
       return res.json({
         success: true,
         data: {
+          id: movie.id,
           title: movie.name,
           type: 'movie',
-          iframe: movie.sources[sourceKey] || movie.sources.source1,
-          availableSources: Object.keys(movie.sources)
+          ...playable(movieSources)
         }
       });
     }
     
     // Search in series
-    const series = await readJSONFile('series.json');
-    const show = series.find(s => 
-      s.name.toLowerCase() === title.toLowerCase()
-    );
+    const show = catalogStore.resolve('series', key)?.item;
     
     if (show) {
+      if (Boolean(season) !== Boolean(episode)) {
+        const missing = season ? 'episode' : 'season';
+        return sendError(res, new ValidationError([
+          { code: 'required', field: missing, message: 'season and episode must be given together' }
+        ]));
+      }
+
       // If season and episode are specified, find specific episode
       if (season && episode) {
         const ep = show.episodes?.find(e => 
-          e.season === parseInt(season) && e.episode === parseInt(episode)
+          e.season === season && e.episode === episode
         );
         
-        if (ep && ep.sources) {
-          const sourceKey = source === 'primary' ? 'source1' : 
-                           source === 'secondary' ? 'source2' : 
-                           source === 'tertiary' ? 'source3' : 'source1';
-          
+        if (!ep) {
+          return res.status(404).json({
+            success: false,
+            error: `Episode S${season}E${episode} not found`
+          });
+        }
+        
+        const episodeSources = providerRegistry.resolve(show, ep);
+        
+        if (episodeSources.length > 0) {
           return res.json({
             success: true,
             data: {
+              id: show.id,
               title: show.name,
               type: 'series',
               season: ep.season,
               episode: ep.episode,
               episodeTitle: ep.title,
-              iframe: ep.sources[sourceKey] || ep.sources.source1,
-              availableSources: Object.keys(ep.sources)
+              ...playable(episodeSources)
             }
           });
         }
       }
       
-      // Return first episode if no specific episode requested
-      if (show.episodes && show.episodes.length > 0) {
-        const firstEp = show.episodes[0];
-        const sourceKey = source === 'primary' ? 'source1' : 
-                         source === 'secondary' ? 'source2' : 
-                         source === 'tertiary' ? 'source3' : 'source1';
-        
+      // Without season and episode, start from the first episode of the series
+      const firstEp = !season && sortEpisodes([...(show.episodes || [])])[0];
+      const firstEpSources = firstEp ? providerRegistry.resolve(show, firstEp) : [];
+      
+      if (firstEpSources.length > 0) {
         return res.json({
           success: true,
           data: {
+            id: show.id,
             title: show.name,
             type: 'series',
             season: firstEp.season,
             episode: firstEp.episode,
             episodeTitle: firstEp.title,
-            iframe: firstEp.sources[sourceKey] || firstEp.sources.source1,
-            availableSources: Object.keys(firstEp.sources)
+            ...playable(firstEpSources)
           }
         });
       }
@@ -430,61 +715,72 @@ app.get('/api/iframe', async (req, res) => {
       error: 'Content not found'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get iframe source',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to get iframe source');
   }
 });
 
-// Get trending content
-app.get('/api/trending', async (req, res) => {
+// Get trending content, ranked by time-decayed plays within a window (day, week or month)
+api.get('/api/trending', {
+  summary: 'Titles ranked by recent plays',
+  cache: 'dynamic',
+  tags: ['Discovery'],
+  query: {
+    type: { type: 'string', enum: ['all', 'movie', 'series'], default: 'all' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 20 },
+    window: { type: 'string', enum: Object.keys(TRENDING_WINDOWS), default: 'week' }
+  },
+  responses: {
+    200: ok(list({ type: 'object', description: 'A movie or series with type, trendingScore and plays' }), {
+      window: { type: 'string' }
+    })
+  }
+}, async (req, res) => {
   try {
-    const { type, limit = 20 } = req.query;
+    const { type, limit, window } = req.query;
+    
+    const scores = eventLog.scores(window);
     let trending = [];
     
     if (!type || type === 'all' || type === 'movie') {
-      const movies = await readJSONFile('movies.json');
-      const trendingMovies = movies
-        .sort((a, b) => parseFloat(b.rating) - parseFloat(a.rating))
-        .slice(0, parseInt(limit) / 2)
-        .map(movie => ({ ...movie, type: 'movie' }));
-      trending = trending.concat(trendingMovies);
+      trending = trending.concat(catalogStore.movies.map(movie => ({ ...movie, type: 'movie' })));
     }
     
     if (!type || type === 'all' || type === 'series') {
-      const series = await readJSONFile('series.json');
-      const trendingSeries = series
-        .sort((a, b) => parseFloat(b.rating) - parseFloat(a.rating))
-        .slice(0, parseInt(limit) / 2)
-        .map(show => ({ ...show, type: 'series' }));
-      trending = trending.concat(trendingSeries);
+      trending = trending.concat(catalogStore.series.map(show => ({ ...show, type: 'series' })));
     }
     
-    // Shuffle and limit results
+    // Titles without recent plays follow in rating order; ties break on name, then id
     trending = trending
-      .sort(() => Math.random() - 0.5)
-      .slice(0, parseInt(limit));
+      .map(item => {
+        const { score = 0, plays = 0 } = scores.get(item.id) || {};
+        return { ...item, trendingScore: Math.round(score * 1000) / 1000, plays };
+      })
+      .sort((a, b) =>
+        b.trendingScore - a.trendingScore ||
+        (parseFloat(b.rating) || 0) - (parseFloat(a.rating) || 0) ||
+        a.name.localeCompare(b.name) ||
+        a.id.localeCompare(b.id)
+      )
+      .slice(0, limit);
     
     res.json({
       success: true,
-      data: trending
+      data: trending,
+      window
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch trending content',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch trending content');
   }
 });
 
 // Get statistics
-app.get('/api/stats', async (req, res) => {
+api.get('/api/stats', {
+  summary: 'Catalog statistics',
+  tags: ['Discovery'],
+  responses: { 200: ok({ type: 'object' }) }
+}, async (req, res) => {
   try {
-    const movies = await readJSONFile('movies.json');
-    const series = await readJSONFile('series.json');
+    const { movies, series } = catalogStore;
     
     // Calculate total episodes
     const totalEpisodes = series.reduce((total, show) => {
@@ -492,9 +788,7 @@ app.get('/api/stats', async (req, res) => {
     }, 0);
     
     // Get unique genres
-    const movieGenres = movies.flatMap(m => m.genre.split(',').map(g => g.trim()));
-    const seriesGenres = series.flatMap(s => s.genre.split(',').map(g => g.trim()));
-    const allGenres = [...new Set([...movieGenres, ...seriesGenres])];
+    const allGenres = catalogStore.genres();
     
     res.json({
       success: true,
@@ -509,89 +803,136 @@ app.get('/api/stats', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch statistics',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch statistics');
   }
 });
 
 // Get all genres
-app.get('/api/genres', async (req, res) => {
+api.get('/api/genres', {
+  summary: 'Every genre in the catalog',
+  tags: ['Discovery'],
+  responses: { 200: ok(list({ type: 'string' })) }
+}, async (req, res) => {
   try {
-    const movies = await readJSONFile('movies.json');
-    const series = await readJSONFile('series.json');
-    
-    const movieGenres = movies.flatMap(m => m.genre.split(',').map(g => g.trim()));
-    const seriesGenres = series.flatMap(s => s.genre.split(',').map(g => g.trim()));
-    const allGenres = [...new Set([...movieGenres, ...seriesGenres])].sort();
+    const allGenres = catalogStore.genres().sort();
     
     res.json({
       success: true,
       data: allGenres
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch genres',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to fetch genres');
   }
 });
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+api.get('/api/health', {
+  summary: 'Health check',
+  cache: 'none',
+  tags: ['Meta'],
+  responses: {
+    200: ok(null, { message: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' }, version: { type: 'string' } })
+  }
+}, (req, res) => {
   res.json({
     success: true,
     message: 'ViewMax API is running',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: API_VERSION
   });
 });
 
+// The API description, generated from the route definitions
+api.get('/api/openapi.json', {
+  summary: 'OpenAPI 3 document for this API',
+  cache: 'static',
+  tags: ['Meta'],
+  responses: { 200: { description: 'OpenAPI document', schema: { type: 'object' } } }
+}, (req, res) => {
+  res.json(buildOpenAPI());
+});
+
+// Request, rate-limit and catalog metrics for Prometheus to scrape
+api.get('/api/metrics', {
+  summary: 'Metrics in the Prometheus text format',
+  cache: 'none',
+  tags: ['Meta'],
+  responses: { 200: { description: 'Prometheus text exposition', contentType: 'text/plain', schema: { type: 'string' } } }
+}, (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
+// Browsable, self-contained docs rendered from /api/openapi.json
+api.get('/api/docs', {
+  summary: 'Interactive API documentation',
+  cache: 'static',
+  tags: ['Meta'],
+  responses: { 200: { description: 'HTML page', contentType: 'text/html', schema: { type: 'string' } } }
+}, (req, res) => {
+  res.sendFile(join(__dirname, 'server', 'api-docs.html'));
+});
+
+// Account registration, login and token refresh
+app.use('/api', authRouter);
+
+// Admin write routes for movies, series and episodes
+app.use('/api', catalogAdminRouter);
+
+// Playback event tracking
+app.use('/api', eventsRouter);
+
+// Signed-in user's watch progress, watchlist and favorites
+app.use('/api', meRouter);
+
+// Admin reports (embed source health)
+app.use('/api', adminRouter);
+
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
   res.status(404).json({
     success: false,
     error: 'API endpoint not found',
-    availableEndpoints: [
-      'GET /api/movies',
-      'GET /api/movies/:name',
-      'GET /api/series',
-      'GET /api/series/:name',
-      'GET /api/series/:name/episodes',
-      'GET /api/search',
-      'GET /api/iframe',
-      'GET /api/trending',
-      'GET /api/stats',
-      'GET /api/genres',
-      'GET /api/health'
-    ]
+    availableEndpoints: listEndpoints()
   });
 });
 
 // Serve HTML files for non-API routes
 app.get('/', (req, res) => {
-  res.sendFile(join(__dirname, 'Home.html'));
+  res.sendFile(join(config.staticRoot, 'Home.html'));
 });
 
-// Global error handler
+// Global error handler: the details go to the log, the caller gets the request id to report
 app.use((error, req, res, next) => {
-  console.error('Global error:', error);
-  res.status(500).json({
+  const status = error.status || 500;
+  logger[status >= 500 ? 'error' : 'warn']('Unhandled error', { requestId: req.id, method: req.method, path: req.originalUrl, error });
+  res.status(status).json({
     success: false,
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    error: status < 500 ? error.message : 'Internal server error'
   });
 });
 
-// Start server
+// Start server once the catalog is in memory
+await catalogStore.load();
+catalogStore.watch();
+await eventLog.load();
+await providerRegistry.load();
+await sourceHealth.load();
+if (config.sourceChecks.enabled) {
+  sourceHealth.start();
+}
+
+// Refuses to start if data files would be served; otherwise logs what is public
+logger.info('Static files exposed', await checkStaticExposure());
+
 app.listen(PORT, () => {
-  console.log(`🎬 ViewMax API Server running on port ${PORT}`);
-  console.log(`📡 API Base URL: http://localhost:${PORT}/api`);
-  console.log(`🌐 Website URL: http://localhost:${PORT}`);
-  console.log(`📊 Health Check: http://localhost:${PORT}/api/health`);
+  logger.info('ViewMax API server listening', {
+    port: PORT,
+    configFile: config.file,
+    apiUrl: `http://localhost:${PORT}/api`,
+    healthUrl: `http://localhost:${PORT}/api/health`,
+    metricsUrl: `http://localhost:${PORT}/api/metrics`,
+    storage: storage.description
+  });
 });
 
 export default app;
\ No newline at end of file
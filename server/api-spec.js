@@ -0,0 +1,392 @@
+// Route definitions that carry their own documentation. Routes registered through
+// defineRoutes() describe their path and query parameters, request body and
+// responses; parameters are checked, coerced and defaulted before the handler
+// runs (see validateParameters), and buildOpenAPI() turns the definitions into the OpenAPI 3 document served at
+// /api/openapi.json and rendered by /api/docs.
+//
+//   api.get('/movies/:id', {
+//     summary: 'Get a movie',
+//     tags: ['Movies'],
+//     auth: 'optional',                      // 'user' or 'admin'; omit for public routes
+//     params: { id: 'Movie id or slug' },    // a description, or { description, ...schema }
+//     query: { limit: { type: 'integer', minimum: 1, default: 20, description: 'Page size' } },
+//     body: ref('MovieInput'),
+//     responses: { 200: ok(ref('Movie')), 404: 'Movie not found' },  // a string documents an error
+//     cache: 'catalog',                      // GET only, see CACHE_POLICIES in http-cache.js
+//     rateLimit: 'credentials'               // a policy from config.rateLimits, on top of "api"
+//   }, handler);
+import { ValidationError, sendError } from './errors.js';
+import { CATALOG_SCHEMAS, EPISODE_SCHEMA, SEASON_SCHEMA, toJSONSchema } from './catalog-schema.js';
+import { SORT_FIELDS } from './catalog-query.js';
+import { cacheHeaders } from './http-cache.js';
+import { rateLimiter } from './rate-limits.js';
+
+export const API_VERSION = '1.0.0';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Every route registered so far
+const routes = [];
+
+// Routers register before server.js, so order by path, then method
+function sortedRoutes() {
+  return [...routes].sort((a, b) =>
+    a.path.localeCompare(b.path) || METHODS.indexOf(a.method) - METHODS.indexOf(b.method)
+  );
+}
+
+export const ref = name => ({ $ref: `#/components/schemas/${name}` });
+export const list = items => ({ type: 'array', items });
+
+// A { success: true, data, ...extra } response
+export function ok(data, extra = {}, description = 'OK') {
+  return {
+    description,
+    schema: {
+      type: 'object',
+      required: ['success'],
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        ...(data && { data }),
+        ...extra
+      }
+    }
+  };
+}
+
+export const created = (data, extra) => ok(data, extra, 'Created');
+
+export const MAX_PAGE_SIZE = 100;
+
+// Shared query parameters
+export const PAGE_QUERY = {
+  limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 20, description: 'Page size' },
+  offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of results to skip' }
+};
+
+const SORT_VALUES = Object.keys(SORT_FIELDS).flatMap(field => [field, `${field}:asc`, `${field}:desc`]);
+
+export const CATALOG_FILTER_QUERY = {
+  genre: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Genres to match, repeated or comma-separated'
+  },
+  genreMode: { type: 'string', enum: ['or', 'and'], default: 'or', description: 'Match any (or) or all (and) of the genres' },
+  minRating: { type: 'number', minimum: 0, maximum: 10, description: 'Lowest rating to include' },
+  yearFrom: { type: 'integer', minimum: 1800, maximum: 2999, description: 'Earliest release year' },
+  yearTo: { type: 'integer', minimum: 1800, maximum: 2999, description: 'Latest release year' },
+  sort: { type: 'string', enum: SORT_VALUES, description: 'Sort field, optionally with :asc or :desc' },
+  order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort direction; defaults to the field\'s natural order' }
+};
+
+export const PAGE_FIELDS = {
+  total: { type: 'integer' },
+  limit: { type: 'integer' },
+  offset: { type: 'integer' },
+  hasMore: { type: 'boolean' }
+};
+
+function withoutFields(schema, fields) {
+  const properties = { ...schema.properties };
+  fields.forEach(field => delete properties[field]);
+  return {
+    ...schema,
+    properties,
+    required: (schema.required || []).filter(field => !fields.includes(field))
+  };
+}
+
+const movieSchema = toJSONSchema(CATALOG_SCHEMAS.movies);
+const seriesSchema = toJSONSchema(CATALOG_SCHEMAS.series);
+
+const COMPONENTS = {
+  Movie: movieSchema,
+  Series: seriesSchema,
+  Episode: toJSONSchema(EPISODE_SCHEMA),
+  SeasonMetadata: toJSONSchema(SEASON_SCHEMA),
+  Season: {
+    type: 'object',
+    description: 'Season metadata with placeholders filled in and the number of episodes',
+    properties: {
+      number: { type: 'integer', minimum: 1 },
+      title: { type: 'string' },
+      poster: { type: 'string', nullable: true },
+      year: { type: 'integer', nullable: true },
+      synopsis: { type: 'string', nullable: true },
+      episodeCount: { type: 'integer' }
+    }
+  },
+  // id, slug and aliases are assigned by the server
+  MovieInput: withoutFields(movieSchema, ['id', 'slug', 'aliases']),
+  SeriesInput: withoutFields(seriesSchema, ['id', 'slug', 'aliases']),
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      email: { type: 'string' },
+      displayName: { type: 'string' },
+      role: { type: 'string', enum: ['user', 'admin'] },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      user: ref('User'),
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' }
+    }
+  },
+  Progress: {
+    type: 'object',
+    properties: {
+      titleId: { type: 'string' },
+      kind: { type: 'string', enum: ['movie', 'series'] },
+      season: { type: 'integer' },
+      episode: { type: 'integer' },
+      source: { type: 'string' },
+      completed: { type: 'boolean' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      title: { type: 'object', description: 'Summary of the title' },
+      episodeTitle: { type: 'string' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      message: { type: 'string' },
+      details: { type: 'array', items: {} },
+      requestId: { type: 'string', description: 'Also sent as the X-Request-Id header; quote it when reporting a problem' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'error', 'code', 'details'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'Invalid request parameters, or what the invalid body was for' },
+      code: { type: 'string', enum: ['invalid_parameters', 'invalid_body'] },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              enum: ['required', 'invalid_type', 'invalid_value', 'out_of_range', 'too_short', 'too_long', 'repeated', 'duplicate', 'unknown_parameter', 'unknown_field']
+            },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      },
+      requestId: { type: 'string' }
+    }
+  }
+};
+
+const TAGS = [
+  { name: 'Movies' },
+  { name: 'Series' },
+  { name: 'Discovery', description: 'Search, trending, playback sources and catalog stats' },
+  { name: 'Auth', description: 'Accounts and sessions' },
+  { name: 'Me', description: 'The signed-in user\'s progress and lists' },
+  { name: 'Events', description: 'Playback events' },
+  { name: 'Admin', description: 'Catalog management and reports (admin API key or admin account)' },
+  { name: 'Meta' }
+];
+
+// A path or query parameter entry as { description, required, default, schema }
+function splitEntry(entry = {}) {
+  const { description, required, default: fallback, ...schema } = typeof entry === 'string' ? { description: entry } : entry;
+  return { description, required, fallback, schema: { type: 'string', ...schema } };
+}
+
+// Coerce a raw parameter to its schema's type: { value } or { error: { code, field, message } }
+function parseValue(field, raw, schema) {
+  const fail = (code, message) => ({ error: { code, field, message: `${field} ${message}` } });
+
+  if (schema.type === 'array') {
+    const values = Array.isArray(raw) ? raw : [raw];
+    if (values.some(value => typeof value !== 'string')) return fail('invalid_type', 'must be a list of values');
+    const items = values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+    if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+      return fail('out_of_range', `must have at most ${schema.maxItems} values`);
+    }
+    const parsed = items.map(item => parseValue(field, item, schema.items));
+    return parsed.find(result => result.error) || { value: parsed.map(result => result.value) };
+  }
+  if (Array.isArray(raw)) return fail('repeated', 'must be given once');
+  if (typeof raw !== 'string') return fail('invalid_type', 'must be a single value');
+
+  let value = raw;
+  if (schema.type === 'integer') {
+    if (!/^-?\d+$/.test(raw)) return fail('invalid_type', 'must be an integer');
+    value = Number(raw);
+  } else if (schema.type === 'number') {
+    if (!Number.isFinite(Number(raw))) return fail('invalid_type', 'must be a number');
+    value = Number(raw);
+  } else if (schema.type === 'boolean') {
+    if (!['true', 'false'].includes(raw)) return fail('invalid_type', 'must be true or false');
+    value = raw === 'true';
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) return fail('invalid_value', `must be one of: ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) return fail('out_of_range', `must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) return fail('out_of_range', `must be at most ${schema.maximum}`);
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return fail('too_long', `must be at most ${schema.maxLength} characters`);
+  }
+  return { value };
+}
+
+// Check path and query parameters against the definition. Handlers then see typed
+// values: req.params coerced, and req.query holding only the declared parameters
+// with their defaults filled in. Unknown query parameters are rejected.
+function validateParameters({ params = {}, query = {} }) {
+  return (req, res, next) => {
+    const errors = [];
+    const parsed = { params: {}, query: {} };
+    const read = (location, field, raw, entry) => {
+      const { required, fallback, schema } = splitEntry(entry);
+      // An empty value is the same as leaving the parameter out
+      if (raw === undefined || raw === '') {
+        if (required) errors.push({ code: 'required', field, message: `${field} is required` });
+        else if (fallback !== undefined) parsed[location][field] = fallback;
+        return;
+      }
+      const { value, error } = parseValue(field, raw, schema);
+      if (error) errors.push(error);
+      else parsed[location][field] = value;
+    };
+
+    Object.entries(req.params).forEach(([field, raw]) => read('params', field, raw, params[field]));
+    Object.entries(query).forEach(([field, entry]) => read('query', field, req.query[field], entry));
+    Object.keys(req.query)
+      .filter(field => !(field in query))
+      .forEach(field => errors.push({ code: 'unknown_parameter', field, message: `${field} is not a known parameter` }));
+
+    if (errors.length > 0) {
+      return sendError(res, new ValidationError(errors));
+    }
+    Object.assign(req.params, parsed.params);
+    req.query = parsed.query;
+    next();
+  };
+}
+
+// Cache policy for a GET route that does not name one: signed-in reads are
+// private and admin reads are not cached
+function defaultCachePolicy({ auth }) {
+  if (auth === 'admin') return 'none';
+  return auth ? 'private' : 'catalog';
+}
+
+// Register documented routes on an app or router. basePath is where the router
+// is mounted, so the recorded paths are the ones clients call. A route's rate-limit
+// policy applies first; parameter validation runs after any middleware given with
+// the handler (such as requireAdmin).
+export function defineRoutes(router, basePath = '') {
+  const register = method => (path, definition, ...handlers) => {
+    routes.push({ method, path: basePath + path, definition });
+    const handler = handlers.pop();
+    const limiting = definition.rateLimit ? [rateLimiter(definition.rateLimit)] : [];
+    const caching = method === 'get' ? [cacheHeaders(definition.cache ?? defaultCachePolicy(definition))] : [];
+    router[method](path, ...limiting, ...handlers, validateParameters(definition), ...caching, handler);
+  };
+  return Object.fromEntries(METHODS.map(method => [method, register(method)]));
+}
+
+// "GET /api/movies/:id" for every registered route
+export function listEndpoints() {
+  return sortedRoutes().map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+}
+
+function parameter(name, location, entry) {
+  const { description, required, fallback, schema } = splitEntry(entry);
+  return {
+    name,
+    in: location,
+    ...(description && { description }),
+    required: location === 'path' || Boolean(required),
+    schema: { ...schema, ...(fallback !== undefined && { default: fallback }) },
+    ...(schema.type === 'array' && { style: 'form', explode: true })
+  };
+}
+
+function response(value) {
+  if (typeof value === 'string') {
+    return { description: value, content: { 'application/json': { schema: ref('Error') } } };
+  }
+  const { description, schema, contentType = 'application/json' } = value;
+  return schema ? { description, content: { [contentType]: { schema } } } : { description };
+}
+
+function buildOperation(method, path, { summary, description, tags, auth, rateLimit, params = {}, query = {}, body, responses = {} }) {
+  const operation = { summary, tags };
+  if (description) operation.description = description;
+
+  const parameters = [
+    ...[...path.matchAll(/:(\w+)/g)].map(([, name]) => parameter(name, 'path', params[name])),
+    ...Object.entries(query).map(([name, entry]) => parameter(name, 'query', entry))
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (body) {
+    operation.requestBody = body.content
+      ? { required: true, ...body }
+      : { required: true, content: { 'application/json': { schema: body } } };
+  }
+
+  const documented = { ...responses };
+  documented[400] ??= { description: 'Invalid request parameters', schema: ref('ValidationError') };
+  if (auth === 'user' || auth === 'admin') {
+    operation.security = [{ bearerAuth: [] }];
+    documented[401] ??= 'Authentication required';
+  }
+  if (auth === 'admin') documented[403] ??= 'Admin access required';
+  if (auth === 'optional') operation.security = [{}, { bearerAuth: [] }];
+  if (method === 'get') documented[304] ??= { description: 'Not modified: If-None-Match matched the ETag' };
+  if (rateLimit) documented[429] ??= `Too many requests (the ${rateLimit} rate limit)`;
+
+  operation.responses = Object.fromEntries(
+    Object.entries(documented).map(([status, value]) => [status, response(value)])
+  );
+  return operation;
+}
+
+// The OpenAPI 3 document for every route registered through defineRoutes()
+export function buildOpenAPI() {
+  const paths = {};
+  sortedRoutes().forEach(({ method, path, definition }) => {
+    const openAPIPath = path.replace(/:(\w+)/g, '{$1}');
+    paths[openAPIPath] = { ...paths[openAPIPath], [method]: buildOperation(method, path, definition) };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'ViewMax API',
+      version: API_VERSION,
+      description: 'Movies, series, playback sources and user lists. Responses use a ' +
+        '{ success, data } envelope; errors carry { success: false, error, details }.'
+    },
+    tags: TAGS,
+    paths,
+    components: {
+      schemas: COMPONENTS,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'An access token from /api/auth/login, or the ADMIN_API_KEY for admin routes'
+        }
+      }
+    }
+  };
+}
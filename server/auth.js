@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import { verifyToken, looksLikeToken } from './tokens.js';
+import { config } from './config.js';
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+function isAdminKey(token) {
+  const { adminApiKey: adminKey } = config.auth;
+  return Boolean(adminKey && token && safeEqual(token, adminKey));
+}
+
+// Attach req.user when the request carries a valid access token.
+// Requests without a token pass through anonymously; a bad or expired token is
+// rejected so the client knows to refresh it.
+export function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token || isAdminKey(token) || !looksLikeToken(token)) {
+    return next();
+  }
+
+  const { claims, error } = verifyToken(token, 'access');
+  if (error) {
+    return res.status(401).json({
+      success: false,
+      error: error === 'token_expired' ? 'Access token expired' : 'Invalid access token',
+      code: error
+    });
+  }
+
+  req.user = {
+    id: claims.sub,
+    email: claims.email,
+    role: claims.role
+  };
+  next();
+}
+
+// Only allow signed-in users
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+  next();
+}
+
+// Only allow admin accounts, or requests carrying the admin API key (ADMIN_API_KEY)
+export function requireAdmin(req, res, next) {
+  if (req.user?.role === 'admin' || isAdminKey(getBearerToken(req))) {
+    return next();
+  }
+
+  if (!req.user && !getBearerToken(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Admin access required'
+  });
+}
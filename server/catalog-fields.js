@@ -0,0 +1,10 @@
+// Helpers for reading the loosely typed fields stored in data/*.json
+
+export function splitGenres(genre) {
+  return (genre || '').split(',').map(g => g.trim()).filter(Boolean);
+}
+
+export function releaseYear(item) {
+  const year = parseInt(item.releaseDate);
+  return Number.isNaN(year) ? null : year;
+}
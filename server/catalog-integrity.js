@@ -0,0 +1,143 @@
+// Catalog integrity report: schema violations plus problems the schema cannot
+// see, such as images missing on disk, duplicate names, and gaps in season or
+// episode numbering. Used by GET /api/admin/integrity and `npm run catalog:integrity`.
+import { join, normalize, sep } from 'path';
+import fs from 'fs/promises';
+import { checkCatalogEntry, isHttpUrl } from './catalog-schema.js';
+import { releaseYear } from './catalog-fields.js';
+import { providerRegistry } from './providers.js';
+import { config } from './config.js';
+
+export const INTEGRITY_CHECKS = ['schema', 'rating', 'source-url', 'missing-image', 'duplicate-name', 'episode-numbering'];
+
+// Schema errors on these fields are reported under their own check
+function schemaCheckFor(path) {
+  if (path === 'rating') return 'rating';
+  if (/(^|\.)sources\[\d+\]\.url$/.test(path)) return 'source-url';
+  return 'schema';
+}
+
+// [1, 2, 5] -> [3, 4]
+function missingNumbers(numbers) {
+  const present = new Set(numbers);
+  const max = Math.max(0, ...numbers);
+  return Array.from({ length: max }, (_, index) => index + 1).filter(number => !present.has(number));
+}
+
+function episodeNumbering(show, issue) {
+  const episodes = (show.episodes || []).filter(ep => Number.isInteger(ep.season) && Number.isInteger(ep.episode));
+  const bySeason = new Map();
+  episodes.forEach(ep => {
+    if (!bySeason.has(ep.season)) bySeason.set(ep.season, []);
+    bySeason.get(ep.season).push(ep.episode);
+  });
+
+  const missingSeasons = missingNumbers([...bySeason.keys()]);
+  if (missingSeasons.length > 0) {
+    issue('warning', 'episode-numbering', `has no episodes for season ${missingSeasons.join(', ')}`, 'episodes');
+  }
+
+  [...bySeason].sort((a, b) => a[0] - b[0]).forEach(([season, numbers]) => {
+    const seen = new Set();
+    const duplicates = new Set(numbers.filter(number => seen.has(number) || !seen.add(number)));
+    if (duplicates.size > 0) {
+      issue('error', 'episode-numbering', `season ${season} lists episode ${[...duplicates].join(', ')} more than once`, 'episodes');
+    }
+    const gaps = missingNumbers(numbers);
+    if (gaps.length > 0) {
+      issue('warning', 'episode-numbering', `season ${season} is missing episode ${gaps.join(', ')}`, 'episodes');
+    }
+  });
+}
+
+async function fileExists(path) {
+  try {
+    return (await fs.stat(path)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Remote images are not fetched; local paths are relative to, and must exist under,
+// the site root the server serves (config.staticRoot)
+async function checkImage(path, field, issue, root) {
+  if (typeof path !== 'string' || /^https?:\/\//i.test(path)) return;
+  const file = normalize(join(root, path));
+  if (!file.startsWith(root + sep) || !(await fileExists(file))) {
+    issue('warning', 'missing-image', `${field} "${path}" does not exist`, field);
+  }
+}
+
+// Every resolved embed URL (registry templates plus overrides) must be http(s)
+function checkResolvedSources(kind, item, issue, registry) {
+  const units = kind === 'movies' ? [undefined] : (item.episodes || []);
+  units.forEach(episode => {
+    registry.resolve(item, episode).forEach(source => {
+      if (!isHttpUrl(source.url)) {
+        const where = episode ? `S${episode.season}E${episode.episode} ` : '';
+        issue('error', 'source-url', `${where}${source.provider} resolves to a malformed URL "${source.url}"`, 'sources');
+      }
+    });
+  });
+}
+
+function duplicateNames(kind, items, report) {
+  const byName = new Map();
+  items.filter(item => typeof item.name === 'string').forEach(item => {
+    const key = item.name.trim().toLowerCase();
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(item);
+  });
+
+  byName.forEach(titles => {
+    if (titles.length < 2) return;
+    const years = titles.map(releaseYear);
+    // Remakes may share a name; the same name and year is almost certainly a duplicate
+    const sameYear = new Set(years).size < years.length;
+    titles.forEach(title => report(kind, title, {
+      severity: sameYear ? 'error' : 'warning',
+      check: 'duplicate-name',
+      field: 'name',
+      message: `name is shared by ${titles.length} ${kind} (${titles.map(t => t.id).join(', ')})`
+    }));
+  });
+}
+
+// Check the raw movies and series collections. Returns
+// { generatedAt, summary: { titles, errors, warnings, byCheck }, issues: [...] }
+export async function buildIntegrityReport({ movies = [], series = [] }, { root = config.staticRoot, registry = providerRegistry } = {}) {
+  const issues = [];
+  const report = (kind, item, { severity, check, field = null, message }) => {
+    issues.push({ severity, check, kind, id: item.id || null, name: item.name || null, field, message });
+  };
+
+  for (const [kind, items] of [['movies', movies], ['series', series]]) {
+    for (const item of items) {
+      const issue = (severity, check, message, field) => report(kind, item, { severity, check, field, message });
+
+      const schemaErrors = checkCatalogEntry(kind, item);
+      schemaErrors.forEach(({ path, message }) => issue('error', schemaCheckFor(path), message, path));
+
+      await checkImage(item.image, 'image', issue, root);
+      for (const [index, season] of (item.seasons || []).entries()) {
+        await checkImage(season?.poster, `seasons[${index}].poster`, issue, root);
+      }
+      if (kind === 'series') episodeNumbering(item, issue);
+      // Resolving needs a well-formed entry; schema errors already cover the rest
+      if (schemaErrors.length === 0) checkResolvedSources(kind, item, issue, registry);
+    }
+    duplicateNames(kind, items, report);
+  }
+
+  const byCheck = Object.fromEntries(INTEGRITY_CHECKS.map(check => [check, issues.filter(i => i.check === check).length]));
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      titles: movies.length + series.length,
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      byCheck
+    },
+    issues
+  };
+}
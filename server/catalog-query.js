@@ -0,0 +1,145 @@
+import { splitGenres, releaseYear } from './catalog-fields.js';
+
+// Sort fields and the direction each one uses when no order is given
+export const SORT_FIELDS = {
+  rating: 'desc',
+  releaseDate: 'desc',
+  name: 'asc'
+};
+
+// Lower bounds offered by the rating facet, matching the minRating filter
+const RATING_BANDS = [9, 8, 7, 6, 5];
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(v => v && v.toLowerCase() !== 'all');
+}
+
+function toNumber(value) {
+  if (value === undefined || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function ratingOf(item) {
+  return parseFloat(item.rating) || 0;
+}
+
+// Read filter and sort options from a request query.
+// genre may be repeated or comma-separated; genreMode picks OR (any) or AND (all).
+export function parseCatalogQuery(query) {
+  const [sortField, sortSuffix] = String(query.sort || '').split(':');
+  const sort = SORT_FIELDS[sortField] ? sortField : null;
+  const order = (query.order || sortSuffix || (sort && SORT_FIELDS[sort]) || 'asc').toLowerCase() === 'desc'
+    ? 'desc'
+    : 'asc';
+
+  return {
+    genres: toList(query.genre),
+    genreMode: String(query.genreMode || 'or').toLowerCase() === 'and' ? 'and' : 'or',
+    minRating: toNumber(query.minRating),
+    yearFrom: toNumber(query.yearFrom),
+    yearTo: toNumber(query.yearTo),
+    sort,
+    order
+  };
+}
+
+function matchesGenres(item, { genres, genreMode }) {
+  if (genres.length === 0) return true;
+  const itemGenres = new Set(splitGenres(item.genre).map(g => g.toLowerCase()));
+  const wanted = genres.map(g => g.toLowerCase());
+  return genreMode === 'and'
+    ? wanted.every(g => itemGenres.has(g))
+    : wanted.some(g => itemGenres.has(g));
+}
+
+function matchesYears(item, { yearFrom, yearTo }) {
+  if (yearFrom === null && yearTo === null) return true;
+  const year = releaseYear(item);
+  if (year === null) return false;
+  return (yearFrom === null || year >= yearFrom) && (yearTo === null || year <= yearTo);
+}
+
+function matchesRating(item, { minRating }) {
+  return minRating === null || ratingOf(item) >= minRating;
+}
+
+const FILTERS = {
+  genre: matchesGenres,
+  year: matchesYears,
+  rating: matchesRating
+};
+
+// Apply every filter except the one named in `skip`
+function filterItems(items, options, skip) {
+  return items.filter(item =>
+    Object.entries(FILTERS).every(([name, matches]) => name === skip || matches(item, options))
+  );
+}
+
+export function applyFilters(items, options) {
+  return filterItems(items, options);
+}
+
+// Sort a copy of the items; without a sort field the incoming order is kept
+export function applySort(items, { sort, order }) {
+  if (!sort) return items;
+
+  const direction = order === 'desc' ? -1 : 1;
+  const compare = {
+    rating: (a, b) => ratingOf(a) - ratingOf(b),
+    releaseDate: (a, b) => String(a.releaseDate || '').localeCompare(String(b.releaseDate || '')),
+    name: (a, b) => a.name.localeCompare(b.name)
+  }[sort];
+
+  return [...items].sort((a, b) => compare(a, b) * direction || a.name.localeCompare(b.name));
+}
+
+function countBy(items, keysOf) {
+  const counts = new Map();
+  items.forEach(item => {
+    keysOf(item).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  return counts;
+}
+
+// Facet counts telling how many titles each filter value would return.
+// Each facet ignores its own filter (genre facets under AND mode excepted, since
+// adding a genre there narrows the current result set).
+export function computeFacets(items, options) {
+  const genreBase = options.genreMode === 'and'
+    ? filterItems(items, options)
+    : filterItems(items, options, 'genre');
+  const genreNames = new Map();
+  const genreCounts = countBy(genreBase, item => splitGenres(item.genre).map(genre => {
+    const key = genre.toLowerCase();
+    if (!genreNames.has(key)) genreNames.set(key, genre);
+    return key;
+  }));
+
+  const yearCounts = countBy(filterItems(items, options, 'year'), item => {
+    const year = releaseYear(item);
+    return year === null ? [] : [year];
+  });
+
+  const ratingBase = filterItems(items, options, 'rating');
+
+  return {
+    genres: [...genreCounts]
+      .map(([key, count]) => ({ value: genreNames.get(key), count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    years: [...yearCounts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.value - a.value),
+    ratings: RATING_BANDS.map(min => ({
+      value: `${min}+`,
+      min,
+      count: ratingBase.filter(item => ratingOf(item) >= min).length
+    }))
+  };
+}
@@ -0,0 +1,221 @@
+// Formal schema for catalog entries as stored (the movies and series collections),
+// and the only set of catalog rules: this module checks the stored shape when a
+// collection is loaded and before it is written, and catalog-validation.js checks
+// request bodies against the same rules once it has brought them into this shape.
+// Ratings and release dates stay strings ("8.5", "2024" or "2024-05-01") as the
+// clients expect, but their format is enforced.
+//
+// Besides type, required and the bounds, a rule may have `unique` (arrays: a key per
+// item that must not repeat), `lowercase` (strings from request bodies are lowercased)
+// and `closed` (objects: unknown fields in request bodies are reported, not dropped).
+import { ApiError } from './errors.js';
+import { EXTERNAL_ID_PATTERNS } from './providers.js';
+import { isValidId } from './title-ids.js';
+
+export const RELEASE_DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+export const PROVIDER_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+export const RATING_PATTERN = /^\d+(\.\d+)?$/;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+const text = (maxLength, rule = {}) => ({ type: 'string', maxLength, ...rule });
+const label = maxLength => text(maxLength, { nullable: true });
+
+const SOURCE_SCHEMA = {
+  type: 'object',
+  fields: {
+    provider: text(50, { required: true, lowercase: true, pattern: PROVIDER_PATTERN, description: 'lowercase letters, digits and dashes' }),
+    disabled: { type: 'boolean' },
+    url: text(2000, { test: isHttpUrl, description: 'an http(s) URL' }),
+    label: label(50),
+    quality: label(50),
+    language: label(50),
+    priority: { type: 'integer', min: 0 }
+  }
+};
+
+// Sources override or add to the provider registry, one entry per provider
+const SOURCES_SCHEMA = { type: 'array', items: SOURCE_SCHEMA, unique: source => source.provider };
+
+const EXTERNAL_IDS_SCHEMA = {
+  type: 'object',
+  closed: true,
+  fields: Object.fromEntries(Object.entries(EXTERNAL_ID_PATTERNS).map(([field, pattern]) => [
+    field,
+    text(100, { pattern, description: `a valid ${field}` })
+  ]))
+};
+
+export const EPISODE_SCHEMA = {
+  type: 'object',
+  fields: {
+    season: { type: 'integer', required: true, min: 1 },
+    episode: { type: 'integer', required: true, min: 1 },
+    title: text(200, { required: true }),
+    description: text(5000),
+    sources: SOURCES_SCHEMA
+  }
+};
+
+export const SEASON_SCHEMA = {
+  type: 'object',
+  fields: {
+    number: { type: 'integer', required: true, min: 1 },
+    title: text(200),
+    poster: text(500),
+    synopsis: text(5000),
+    year: { type: 'integer', min: 1800, max: 2999 }
+  }
+};
+
+function titleFields(kind) {
+  return {
+    id: text(50, { required: true, test: id => isValidId(kind, id), description: `a ${kind === 'movies' ? 'movie' : 'series'} id` }),
+    slug: text(250, { required: true, pattern: SLUG_PATTERN, description: 'a lowercase slug' }),
+    name: text(200, { required: true }),
+    description: text(5000, { required: true }),
+    genre: text(200, { required: true }),
+    rating: text(5, { required: true, pattern: RATING_PATTERN, min: 0, max: 10, description: 'a number between 0 and 10' }),
+    releaseDate: text(10, { required: true, pattern: RELEASE_DATE_PATTERN, description: 'a year (YYYY) or date (YYYY-MM-DD)' }),
+    image: text(500),
+    aliases: { type: 'array', items: text(250) },
+    externalIds: EXTERNAL_IDS_SCHEMA,
+    sources: SOURCES_SCHEMA
+  };
+}
+
+export const CATALOG_SCHEMAS = {
+  movies: {
+    type: 'object',
+    fields: titleFields('movies'),
+    // Playable URLs come from the provider templates, explicit sources, or both
+    oneOf: ['externalIds', 'sources']
+  },
+  series: {
+    type: 'object',
+    fields: {
+      ...titleFields('series'),
+      episodes: { type: 'array', items: EPISODE_SCHEMA, unique: ep => `S${ep.season}E${ep.episode}` },
+      seasons: { type: 'array', items: SEASON_SCHEMA, unique: season => `season ${season.number}` }
+    }
+  }
+};
+
+function checkNumber(rule, value, fail) {
+  if (rule.min !== undefined && value < rule.min) fail('out_of_range', `must be at least ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max) fail('out_of_range', `must be at most ${rule.max}`);
+}
+
+// Keys of rule.unique that more than one item shares
+function duplicateKeys(rule, items) {
+  const seen = new Set();
+  const duplicates = new Set();
+  items.forEach(item => {
+    if (!item || typeof item !== 'object') return;
+    const key = rule.unique(item);
+    if (seen.has(key)) duplicates.add(key);
+    seen.add(key);
+  });
+  return [...duplicates];
+}
+
+// Append { code, path, message } for every way value breaks rule. Codes are the
+// ones parameter validation uses (see api-spec.js), plus unknown_field and duplicate.
+export function checkValue(rule, value, path, errors) {
+  const fail = (code, message) => errors.push({ code, path, message: path ? `${path} ${message}` : message });
+  if (value === null && rule.nullable) return;
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('invalid_type', 'must be a string');
+      if (value.trim() === '') return fail('invalid_value', 'must not be empty');
+      if (value.length > rule.maxLength) return fail('too_long', `must be at most ${rule.maxLength} characters`);
+      if ((rule.pattern && !rule.pattern.test(value)) || (rule.test && !rule.test(value))) {
+        return fail('invalid_value', `must be ${rule.description}`);
+      }
+      if (rule.min !== undefined || rule.max !== undefined) checkNumber(rule, parseFloat(value), fail);
+      return;
+    case 'integer':
+      if (!Number.isInteger(value)) return fail('invalid_type', 'must be an integer');
+      return checkNumber(rule, value, fail);
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('invalid_type', 'must be true or false');
+      return;
+    case 'array':
+      if (!Array.isArray(value)) return fail('invalid_type', 'must be a list');
+      value.forEach((item, index) => checkValue(rule.items, item, `${path}[${index}]`, errors));
+      if (rule.unique) {
+        const duplicates = duplicateKeys(rule, value);
+        if (duplicates.length > 0) fail('duplicate', `lists ${duplicates.join(', ')} more than once`);
+      }
+      return;
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('invalid_type', 'must be an object');
+      const prefix = path ? `${path}.` : '';
+      Object.entries(rule.fields).forEach(([field, fieldRule]) => {
+        if (value[field] === undefined) {
+          if (fieldRule.required) errors.push({ code: 'required', path: `${prefix}${field}`, message: `${prefix}${field} is required` });
+          return;
+        }
+        checkValue(fieldRule, value[field], `${prefix}${field}`, errors);
+      });
+      Object.keys(value)
+        .filter(field => !(field in rule.fields))
+        .forEach(field => errors.push({ code: 'unknown_field', path: `${prefix}${field}`, message: `${prefix}${field} is not a known field` }));
+      if (rule.oneOf && rule.oneOf.every(field => value[field] === undefined)) {
+        fail('required', `needs one of ${rule.oneOf.join(', ')}`);
+      }
+    }
+  }
+}
+
+// Schema errors for one stored movie or series, as { code, path, message }
+export function checkCatalogEntry(kind, item) {
+  const errors = [];
+  checkValue(CATALOG_SCHEMAS[kind], item, '', errors);
+  return errors;
+}
+
+// Refuse a write that would store entries breaking the schema
+export function assertCatalogSchema(kind, items) {
+  const details = items.flatMap(item =>
+    checkCatalogEntry(kind, item).map(({ message }) => `${item.id || item.name || 'entry'}: ${message}`)
+  );
+  if (details.length > 0) {
+    throw new ApiError(422, `${kind} entries do not match the catalog schema; nothing was written`, details);
+  }
+}
+
+// The same rules as an OpenAPI (JSON Schema) object, for the API description.
+// Numeric bounds on string fields such as rating only appear in the description.
+export function toJSONSchema(rule) {
+  const schema = { type: rule.type };
+  if (rule.description) schema.description = rule.description;
+  if (rule.nullable) schema.nullable = true;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.type === 'integer') {
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+  }
+  if (rule.type === 'array') {
+    schema.items = toJSONSchema(rule.items);
+  }
+  if (rule.type === 'object') {
+    schema.properties = Object.fromEntries(
+      Object.entries(rule.fields).map(([field, fieldRule]) => [field, toJSONSchema(fieldRule)])
+    );
+    const required = Object.keys(rule.fields).filter(field => rule.fields[field].required);
+    if (required.length > 0) schema.required = required;
+    if (rule.oneOf) schema.anyOf = rule.oneOf.map(field => ({ required: [field] }));
+  }
+  return schema;
+}
@@ -0,0 +1,264 @@
+import { storage as defaultStorage } from './storage.js';
+import { splitGenres, releaseYear } from './catalog-fields.js';
+import { assignIdentifiers } from './title-ids.js';
+import { checkCatalogEntry, assertCatalogSchema } from './catalog-schema.js';
+import { SearchIndex } from './search-index.js';
+import { SimilarityIndex } from './recommendations.js';
+import { logger } from './logger.js';
+
+const CATALOG_KINDS = ['movies', 'series'];
+
+const RELOAD_DEBOUNCE_MS = 100;
+
+function addToIndex(index, key, item) {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(item);
+}
+
+// Run a mutator over a collection; new and changed entries must then match the schema
+async function mutateChecked(kind, items, mutator) {
+  const before = new Set(items.map(item => JSON.stringify(item)));
+  const value = await mutator(items);
+  assertCatalogSchema(kind, items.filter(item => !before.has(JSON.stringify(item))));
+  return value;
+}
+
+// Build the lookup tables for one catalog file
+function buildCollection(items) {
+  const byId = new Map();
+  const bySlug = new Map();
+  const byName = new Map();
+  const byAlias = new Map();
+  const byGenre = new Map();
+  const byYear = new Map();
+
+  items.forEach(item => {
+    if (item.id) byId.set(item.id, item);
+    if (item.slug) bySlug.set(item.slug, item);
+    addToIndex(byName, item.name.toLowerCase(), item);
+    (item.aliases || []).forEach(alias => {
+      if (!byAlias.has(alias.toLowerCase())) byAlias.set(alias.toLowerCase(), item);
+    });
+    splitGenres(item.genre).forEach(genre => addToIndex(byGenre, genre.toLowerCase(), item));
+    const year = releaseYear(item);
+    if (year !== null) addToIndex(byYear, year, item);
+  });
+
+  return { items, byId, bySlug, byName, byAlias, byGenre, byYear };
+}
+
+// Give entries without an id or slug their identifiers, in place. Entries that would
+// still break the schema keep their original form (and are not served); returns
+// whether any entry was given identifiers.
+function identifyEntries(kind, items) {
+  const originals = [...items];
+  assignIdentifiers(kind, items);
+  let identified = false;
+  items.forEach((item, index) => {
+    if (item === originals[index]) return;
+    if (checkCatalogEntry(kind, item).length > 0) items[index] = originals[index];
+    else identified = true;
+  });
+  return identified;
+}
+
+// In-memory copy of the catalog, kept in sync with the movies and series collections.
+// Items handed out are shared between requests and must be treated as read-only.
+export class CatalogStore {
+  constructor({ storage = defaultStorage } = {}) {
+    this.storage = storage;
+    this.collections = {
+      movies: buildCollection([]),
+      series: buildCollection([])
+    };
+    this.version = 0;
+    this.lastModified = new Date();
+    this.index = null;
+    this.indexVersion = -1;
+    this.similarity = null;
+    this.similarityVersion = -1;
+    this.watcher = null;
+    this.reloadTimers = new Map();
+    // Schema problems already logged, per kind, so reloads do not repeat them
+    this.reported = { movies: new Set(), series: new Set() };
+    // Reload attempts by outcome, exported as a metric
+    this.reloads = { succeeded: 0, failed: 0 };
+  }
+
+  async load() {
+    await Promise.all(CATALOG_KINDS.map(kind => this.reload(kind)));
+  }
+
+  // Re-read one catalog collection; one that fails to load leaves the last good copy in place
+  async reload(kind) {
+    try {
+      const items = await this.storage.read(kind);
+      if (!Array.isArray(items)) {
+        throw new Error(`${kind} must be a list of titles`);
+      }
+      // Hand-added entries get their identifiers written back to disk. Nothing is
+      // written when none of them would pass the schema, since the write would only
+      // trigger another reload of the same file.
+      if (identifyEntries(kind, structuredClone(items))) {
+        await this.update(kind, fresh => {
+          identifyEntries(kind, fresh);
+        });
+      } else {
+        this.setItems(kind, items);
+      }
+      this.reloads.succeeded += 1;
+      return true;
+    } catch (error) {
+      this.reloads.failed += 1;
+      logger.error('Catalog reload failed, keeping previous catalog', { kind, error: error.message });
+      return false;
+    }
+  }
+
+  // Entries that break the catalog schema are logged and not served
+  setItems(kind, items) {
+    const reported = new Set();
+    const valid = items.filter(item => {
+      const errors = checkCatalogEntry(kind, item);
+      if (errors.length === 0) return true;
+
+      const problem = `${item.id || item.name}: ${errors.map(error => error.message).join('; ')}`;
+      if (!this.reported[kind].has(problem)) {
+        logger.warn('Skipping invalid catalog entry', { kind, problem });
+      }
+      reported.add(problem);
+      return false;
+    });
+    this.reported[kind] = reported;
+    this.collections[kind] = buildCollection(valid);
+    this.version += 1;
+    this.lastModified = new Date();
+  }
+
+  // Hot-reload catalog collections when they change outside this process
+  watch() {
+    if (this.watcher) return;
+
+    this.watcher = this.storage.watch(kind => {
+      if (!CATALOG_KINDS.includes(kind)) return;
+
+      clearTimeout(this.reloadTimers.get(kind));
+      this.reloadTimers.set(kind, setTimeout(() => {
+        this.reloadTimers.delete(kind);
+        this.reload(kind);
+      }, RELOAD_DEBOUNCE_MS));
+    });
+  }
+
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.reloadTimers.forEach(timer => clearTimeout(timer));
+    this.reloadTimers.clear();
+  }
+
+  // Read-modify-write a catalog collection, then swap in the written data.
+  // New and changed entries must match the schema or nothing is written;
+  // entries the mutator left alone are not rechecked.
+  async update(kind, mutator) {
+    let updatedItems;
+    const result = await this.storage.update(kind, async items => {
+      const value = await mutateChecked(kind, items, mutator);
+      updatedItems = items;
+      return value;
+    });
+    this.setItems(kind, updatedItems);
+    return result;
+  }
+
+  // What update() would return or throw, run against the stored collection
+  // (including entries the schema keeps out of the API) without writing
+  async preview(kind, mutator) {
+    return mutateChecked(kind, await this.storage.read(kind), mutator);
+  }
+
+  all(kind) {
+    return this.collections[kind].items;
+  }
+
+  findById(kind, id) {
+    return this.collections[kind].byId.get(id) || null;
+  }
+
+  // Look a title up by id or slug (canonical), falling back to its current name
+  // or a retired name/slug (non-canonical, callers should redirect)
+  resolve(kind, key) {
+    const { byId, bySlug, byName, byAlias } = this.collections[kind];
+    const value = String(key);
+    const lower = value.toLowerCase();
+
+    const canonical = byId.get(value) || bySlug.get(lower);
+    if (canonical) return { item: canonical, canonical: true };
+
+    const legacy = (byName.get(lower) || [])[0] || byAlias.get(lower);
+    if (legacy) return { item: legacy, canonical: false };
+
+    return null;
+  }
+
+  findByName(kind, name) {
+    return (this.collections[kind].byName.get(String(name).toLowerCase()) || [])[0] || null;
+  }
+
+  findByGenre(kind, genre) {
+    return this.collections[kind].byGenre.get(String(genre).toLowerCase()) || [];
+  }
+
+  findByYear(kind, year) {
+    return this.collections[kind].byYear.get(parseInt(year)) || [];
+  }
+
+  genres(kind) {
+    const kinds = kind ? [kind] : CATALOG_KINDS;
+    const genres = new Map();
+    kinds.forEach(k => {
+      this.collections[k].items.forEach(item => {
+        splitGenres(item.genre).forEach(genre => {
+          if (!genres.has(genre.toLowerCase())) genres.set(genre.toLowerCase(), genre);
+        });
+      });
+    });
+    return [...genres.values()];
+  }
+
+  // Full-text index over both collections, rebuilt lazily after the catalog changes
+  get searchIndex() {
+    if (this.indexVersion !== this.version) {
+      this.index = new SearchIndex([
+        ...this.movies.map(item => ({ type: 'movie', item })),
+        ...this.series.map(item => ({ type: 'series', item }))
+      ]);
+      this.indexVersion = this.version;
+    }
+    return this.index;
+  }
+
+  // Term and genre vectors for "more like this", rebuilt lazily like the search index
+  get similarityIndex() {
+    if (this.similarityVersion !== this.version) {
+      this.similarity = new SimilarityIndex([
+        ...this.movies.map(item => ({ type: 'movie', item })),
+        ...this.series.map(item => ({ type: 'series', item }))
+      ]);
+      this.similarityVersion = this.version;
+    }
+    return this.similarity;
+  }
+
+  get movies() {
+    return this.all('movies');
+  }
+
+  get series() {
+    return this.all('series');
+  }
+}
+
+export const catalogStore = new CatalogStore();
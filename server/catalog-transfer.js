@@ -0,0 +1,288 @@
+// Bulk catalog import and export in CSV or JSON, shared by the admin endpoints
+// and the catalog:import / catalog:export commands.
+//
+// Rows are matched to existing entries by id (episodes by series, season and
+// episode) and upserted: blank cells and missing fields keep the current value,
+// rows without an id are added. In replace mode, titles missing from the import
+// are removed (for episodes: missing episodes of the series the import lists).
+// Every import produces a diff, so a dry run can show what would change.
+import { isDeepStrictEqual } from 'util';
+import { ApiError } from './errors.js';
+import { parseCSV, toCSV } from './csv.js';
+import { validateMovie, validateSeries, validateEpisode, sortEpisodes } from './catalog-validation.js';
+import { parseCatalogQuery, applyFilters, applySort } from './catalog-query.js';
+import { EXTERNAL_ID_FIELDS } from './providers.js';
+import { generateId, buildSlug, isValidId, resolveTitle, findNameConflict, applyEdit } from './title-ids.js';
+
+export const TRANSFER_FORMATS = ['csv', 'json'];
+export const IMPORT_MODES = ['merge', 'replace'];
+
+const TITLE_COLUMNS = ['id', 'slug', 'name', 'description', 'genre', 'rating', 'releaseDate', 'image', ...EXTERNAL_ID_FIELDS];
+
+// slug and seriesName are exported for reference and ignored on import
+export const DATASETS = {
+  movies: { kind: 'movies', label: 'Movie', validate: validateMovie, columns: [...TITLE_COLUMNS, 'sources'] },
+  series: { kind: 'series', label: 'Series', validate: validateSeries, columns: [...TITLE_COLUMNS, 'seasons'] },
+  episodes: { kind: 'series', label: 'Episode', columns: ['seriesId', 'seriesName', 'season', 'episode', 'title', 'description', 'sources'] }
+};
+
+// Columns that hold JSON inside a CSV cell
+const JSON_COLUMNS = ['externalIds', 'sources', 'seasons', 'episodes'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+export function getDataset(name) {
+  const dataset = DATASETS[name];
+  if (!dataset) {
+    throw new ApiError(400, `Unknown dataset "${name}" (expected ${Object.keys(DATASETS).join(', ')})`);
+  }
+  return { name, ...dataset };
+}
+
+function checkFormat(format) {
+  if (!TRANSFER_FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of ${TRANSFER_FORMATS.join(', ')}`);
+  }
+}
+
+// Rows from an uploaded file: CSV text, or a JSON array (as text or already parsed)
+export function parseImport(format, body) {
+  checkFormat(format);
+  try {
+    const rows = format === 'csv' ? parseCSV(body) : (typeof body === 'string' ? JSON.parse(body) : body);
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('expected a list of objects');
+    }
+    return rows;
+  } catch (error) {
+    throw new ApiError(400, `Could not read ${format.toUpperCase()} import: ${error.message}`);
+  }
+}
+
+// Turn a row into validator input: blank cells count as missing, JSON cells are
+// parsed, and imdbId/tmdbId/embedSlug columns are folded into externalIds
+function normalizeRow(row) {
+  const input = {};
+  const errors = [];
+  Object.entries(row).forEach(([field, raw]) => {
+    if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) return;
+    let value = typeof raw === 'string' ? raw.trim() : raw;
+
+    if (JSON_COLUMNS.includes(field) && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        errors.push(`${field} must be valid JSON`);
+        return;
+      }
+    }
+    if (EXTERNAL_ID_FIELDS.includes(field)) {
+      input.externalIds = { ...input.externalIds, [field]: value };
+    } else if (field === 'externalIds') {
+      input.externalIds = { ...value, ...input.externalIds };
+    } else {
+      input[field] = value;
+    }
+  });
+  return { input, errors };
+}
+
+function changedFields(before, after) {
+  const fields = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (!isDeepStrictEqual(before[field], after[field])) {
+      fields[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  });
+  return fields;
+}
+
+function emptyDiff() {
+  return { added: [], changed: [], removed: [], unchanged: 0, errors: [] };
+}
+
+function importTitles({ kind, label, validate }, items, rows, mode) {
+  const diff = emptyDiff();
+  const imported = new Set();
+
+  rows.forEach((row, index) => {
+    const { input, errors } = normalizeRow(row);
+    const { id, slug, ...fields } = input;
+    const rowError = messages => diff.errors.push({ row: index + 1, id: id ?? null, errors: messages });
+
+    if (id !== undefined && !isValidId(kind, id)) {
+      errors.push(`id "${id}" is not a valid ${label.toLowerCase()} id`);
+    } else if (imported.has(id)) {
+      errors.push(`id "${id}" appears more than once`);
+    }
+    if (errors.length > 0) return rowError(errors);
+
+    const existingIndex = id === undefined ? -1 : items.findIndex(item => item.id === id);
+    const current = existingIndex === -1 ? {} : items[existingIndex];
+    const { id: currentId, slug: currentSlug, aliases, ...currentFields } = current;
+    const result = validate({ ...currentFields, ...fields });
+    if (result.errors.length > 0) return rowError(result.errors.map(({ message }) => message));
+
+    const conflict = findNameConflict(items, result.value, existingIndex);
+    if (conflict !== -1) {
+      return rowError([`another ${label.toLowerCase()} is already named "${items[conflict].name}" for the same year`]);
+    }
+
+    if (existingIndex === -1) {
+      const newId = id || generateId(kind);
+      const entry = { id: newId, slug: buildSlug({ id: newId, ...result.value }, items), ...result.value };
+      items.push(entry);
+      imported.add(newId);
+      diff.added.push({ id: newId, name: entry.name });
+      return;
+    }
+
+    imported.add(id);
+    const updated = applyEdit(items, existingIndex, result.value);
+    const changes = changedFields(items[existingIndex], updated);
+    if (Object.keys(changes).length === 0) {
+      diff.unchanged += 1;
+      return;
+    }
+    items[existingIndex] = updated;
+    diff.changed.push({ id, name: updated.name, fields: changes });
+  });
+
+  if (mode === 'replace' && diff.errors.length === 0) {
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (imported.has(items[i].id)) continue;
+      const [removed] = items.splice(i, 1);
+      diff.removed.unshift({ id: removed.id, name: removed.name });
+    }
+  }
+  return diff;
+}
+
+function importEpisodes(items, rows, mode) {
+  const diff = emptyDiff();
+  // series id -> "S1E2" keys seen in the import
+  const imported = new Map();
+
+  rows.forEach((row, index) => {
+    const { input, errors } = normalizeRow(row);
+    const { seriesId, seriesName, ...fields } = input;
+    const rowError = messages => diff.errors.push({ row: index + 1, id: seriesId ?? null, errors: messages });
+
+    if (seriesId === undefined) errors.push('seriesId is required');
+    const match = seriesId === undefined ? null : resolveTitle(items, seriesId);
+    if (seriesId !== undefined && !match) errors.push(`series "${seriesId}" not found`);
+    if (errors.length > 0) return rowError(errors);
+
+    const show = match.item;
+    show.episodes = show.episodes || [];
+    const existingIndex = show.episodes.findIndex(ep =>
+      ep.season === Number(fields.season) && ep.episode === Number(fields.episode)
+    );
+    const current = existingIndex === -1 ? {} : show.episodes[existingIndex];
+    const result = validateEpisode({ ...current, ...fields });
+    if (result.errors.length > 0) return rowError(result.errors.map(({ message }) => message));
+
+    const episode = result.value;
+    const key = `S${episode.season}E${episode.episode}`;
+    const keys = imported.get(show.id) || new Set();
+    if (keys.has(key)) return rowError([`${key} appears more than once for this series`]);
+    keys.add(key);
+    imported.set(show.id, keys);
+
+    const entry = { id: `${show.id} ${key}`, name: `${show.name} ${key}` };
+    if (existingIndex === -1) {
+      show.episodes.push(episode);
+      diff.added.push(entry);
+      return;
+    }
+    const changes = changedFields(current, episode);
+    if (Object.keys(changes).length === 0) {
+      diff.unchanged += 1;
+      return;
+    }
+    show.episodes[existingIndex] = episode;
+    diff.changed.push({ ...entry, fields: changes });
+  });
+
+  imported.forEach((keys, showId) => {
+    const show = items.find(item => item.id === showId);
+    if (mode === 'replace' && diff.errors.length === 0) {
+      show.episodes = show.episodes.filter(ep => {
+        const key = `S${ep.season}E${ep.episode}`;
+        if (keys.has(key)) return true;
+        diff.removed.push({ id: `${show.id} ${key}`, name: `${show.name} ${key}` });
+        return false;
+      });
+    }
+    sortEpisodes(show.episodes);
+  });
+  return diff;
+}
+
+// Upsert rows into a collection's items (changed in place) and describe what changed.
+// Rows with errors (numbered from 1, not counting a CSV header) are skipped and
+// listed in diff.errors; callers should not save the result unless that list
+// is empty (see assertImportable).
+export function applyImport(dataset, items, rows, { mode = 'merge' } = {}) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ApiError(400, `mode must be one of ${IMPORT_MODES.join(', ')}`);
+  }
+  return dataset.name === 'episodes'
+    ? importEpisodes(items, rows, mode)
+    : importTitles(dataset, items, rows, mode);
+}
+
+export function assertImportable(diff) {
+  if (diff.errors.length > 0) {
+    throw new ApiError(400, `Import has ${diff.errors.length} invalid row(s); nothing was written`, diff.errors);
+  }
+}
+
+function titleRow(title) {
+  const row = { ...title, ...title.externalIds };
+  delete row.externalIds;
+  return row;
+}
+
+function episodeRows(items, season) {
+  return items.flatMap(show => (show.episodes || [])
+    .filter(ep => season === undefined || ep.season === Number(season))
+    .map(({ season: number, episode, title, description, sources }) => ({
+      seriesId: show.id,
+      seriesName: show.name,
+      season: number,
+      episode,
+      title,
+      description,
+      ...(sources && { sources })
+    })));
+}
+
+// Filtered titles (or episodes) as a CSV or JSON file. query takes the catalog
+// list filters (genre, minRating, yearFrom, yearTo, sort) plus season for episodes.
+export function exportCatalog(dataset, items, { format = 'csv', query = {} } = {}) {
+  checkFormat(format);
+  const options = parseCatalogQuery(query);
+  const titles = applySort(applyFilters(items, options), options);
+
+  const rows = dataset.name === 'episodes' ? episodeRows(titles, query.season) : titles;
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify(rows, null, 2);
+  } else {
+    const flat = (dataset.name === 'episodes' ? rows : rows.map(titleRow)).map(row => Object.fromEntries(
+      Object.entries(row).map(([field, value]) => [field, JSON_COLUMNS.includes(field) ? JSON.stringify(value) : value])
+    ));
+    body = toCSV(dataset.columns, flat);
+  }
+
+  return {
+    body,
+    count: rows.length,
+    contentType: CONTENT_TYPES[format],
+    filename: `viewmax-${dataset.name}.${format}`
+  };
+}
@@ -0,0 +1,117 @@
+// Input validation for catalog writes, against the rules in catalog-schema.js.
+// Each validator returns { value, errors }: value is the body brought into the
+// stored shape (see coerce) with only the fields the schema knows, and errors
+// lists every way it breaks the schema as { code, field, message }.
+import { migrateSources } from './sources.js';
+import { CATALOG_SCHEMAS, EPISODE_SCHEMA, SEASON_SCHEMA, checkValue } from './catalog-schema.js';
+
+// Fields the server assigns; request bodies cannot set them
+const SERVER_FIELDS = ['id', 'slug', 'aliases'];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Applied to a field before it is coerced: sources may still use the older
+// { source1, source2, ... } object, and an external id set to null is removed
+const PREPARE = {
+  sources: migrateSources,
+  externalIds: ids => (isPlainObject(ids) ? Object.fromEntries(Object.entries(ids).filter(([, id]) => id !== null)) : ids)
+};
+
+// Bring a request value into the stored shape where that is unambiguous: strings
+// are trimmed, numbers become strings for string fields (rating, releaseDate, ids),
+// integer strings become integers, and unknown fields are dropped unless the
+// object rule is closed. Anything else is left as is for the schema to reject.
+function coerce(rule, value) {
+  switch (rule.type) {
+    case 'string': {
+      const text = typeof value === 'number' ? String(value) : value;
+      if (typeof text !== 'string') return text;
+      return rule.lowercase ? text.trim().toLowerCase() : text.trim();
+    }
+    case 'integer':
+      return typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+    case 'array':
+      return Array.isArray(value) ? value.map(item => coerce(rule.items, item)) : value;
+    case 'object': {
+      if (!isPlainObject(value)) return value;
+      const object = {};
+      Object.entries(value).forEach(([field, item]) => {
+        const fieldRule = rule.fields[field];
+        if (!fieldRule) {
+          if (rule.closed) object[field] = item;
+          return;
+        }
+        const prepared = PREPARE[field] ? PREPARE[field](item) : item;
+        object[field] = prepared === null && fieldRule.nullable ? null : coerce(fieldRule, prepared);
+      });
+      return object;
+    }
+    default:
+      return value;
+  }
+}
+
+// Check a request body against an object rule. Partial mode (PATCH) only checks the
+// fields that are present; invalid fields are left out of value.
+function validateObject(rule, input, label, { partial = false, prefix = '' } = {}) {
+  if (!isPlainObject(input)) {
+    const field = prefix.replace(/\.$/, '') || 'body';
+    return { value: {}, errors: [{ code: 'invalid_type', field, message: `${prefix}${label} must be a JSON object` }] };
+  }
+
+  const body = coerce(rule, input);
+  const errors = [];
+  const value = {};
+  Object.entries(rule.fields).forEach(([field, fieldRule]) => {
+    if (SERVER_FIELDS.includes(field)) return;
+    const path = `${prefix}${field}`;
+    if (body[field] === undefined) {
+      if (fieldRule.required && !partial) errors.push({ code: 'required', field: path, message: `${path} is required` });
+      return;
+    }
+
+    const problems = [];
+    checkValue(fieldRule, body[field], path, problems);
+    if (problems.length > 0) {
+      errors.push(...problems.map(({ code, path: field, message }) => ({ code, field, message })));
+    } else {
+      value[field] = body[field];
+    }
+  });
+
+  // Movies need one of these for playable URLs: provider templates, explicit sources, or both
+  if (!partial && rule.oneOf && rule.oneOf.every(field => input[field] === undefined)) {
+    errors.push({ code: 'required', field: rule.oneOf[0], message: `${rule.oneOf.join(' or ')} is required` });
+  }
+  return { value, errors };
+}
+
+// Validate a movie body; partial mode (PATCH) only checks fields that are present
+export function validateMovie(input, { partial = false } = {}) {
+  return validateObject(CATALOG_SCHEMAS.movies, input, 'Movie', { partial });
+}
+
+// Validate an episode body. Sources are optional: episodes normally get theirs
+// from the series' externalIds
+export function validateEpisode(input, { partial = false, prefix = '' } = {}) {
+  return validateObject(EPISODE_SCHEMA, input, 'Episode', { partial, prefix });
+}
+
+// Season metadata; episodeCount is derived from the episodes, so it is not stored
+export function validateSeason(input, { partial = false, prefix = '' } = {}) {
+  return validateObject(SEASON_SCHEMA, input, 'Season', { partial, prefix });
+}
+
+// Validate a series body, including any episodes and seasons it carries
+export function validateSeries(input, { partial = false } = {}) {
+  const result = validateObject(CATALOG_SCHEMAS.series, input, 'Series', { partial });
+  const { value } = result;
+  if (!partial && input?.episodes === undefined) value.episodes = [];
+  if (value.seasons) value.seasons.sort((a, b) => a.number - b.number);
+  return result;
+}
+
+// Order episodes by season, then episode number
+export function sortEpisodes(episodes) {
+  return episodes.sort((a, b) => a.season - b.season || a.episode - b.episode);
+}
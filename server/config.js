@@ -0,0 +1,229 @@
+// Server settings: the defaults below, overridden by a JSON config file, overridden
+// by environment variables. The result is checked once, when this module loads;
+// any invalid setting stops the server (and the CLI tools) from starting.
+//
+// The config file is CONFIG_FILE, or viewmax.config.json in the project root when it
+// exists. It holds any subset of DEFAULTS, e.g. { "cors": { "origins": [...] } }.
+// Relative paths are resolved from the project root.
+//
+//   setting                   environment variable
+//   port                      PORT
+//   dataDir                   DATA_DIR
+//   staticRoot                STATIC_ROOT
+//   bodyLimits.json / .form   BODY_LIMIT_JSON / BODY_LIMIT_FORM     sizes such as "100kb"
+//   bodyLimits.text           BODY_LIMIT_TEXT      text bodies, such as CSV catalog imports
+//   trustProxy                TRUST_PROXY          true, false, a hop count or comma-separated addresses/subnets
+//   cors.origins              CORS_ORIGINS         comma-separated; "*" alone allows any origin
+//   rateLimits.<policy>       RATE_LIMIT_<POLICY>_MAX / RATE_LIMIT_<POLICY>_WINDOW_MS
+//   storage.backend           STORAGE_BACKEND      json or sqlite
+//   storage.sqliteFile        SQLITE_FILE          default <dataDir>/viewmax.db
+//   sourceChecks.enabled      SOURCE_CHECKS        on or off
+//   sourceChecks.intervalMs   SOURCE_CHECK_INTERVAL_MS
+//   logLevel                  LOG_LEVEL            debug, info, warn or error
+//   auth.secret               AUTH_SECRET          token signing key; random per process when unset
+//   auth.adminApiKey          ADMIN_API_KEY        bearer key with admin access
+//   auth.adminEmails          ADMIN_EMAILS         comma-separated accounts that may be granted admin
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { isIP } from 'net';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const ROOT_DIR = join(__dirname, '..');
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+const LOG_LEVEL_NAMES = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_CONFIG_FILE = 'viewmax.config.json';
+
+const DEFAULTS = {
+  port: 3000,
+  dataDir: 'data',
+  staticRoot: '.',
+  bodyLimits: { json: '10mb', form: '10mb', text: '10mb' },
+  trustProxy: false,
+  cors: { origins: ['http://localhost:3000', 'http://127.0.0.1:3000'] },
+  // Named policies; routes pick one with `rateLimit` in their definition, and
+  // "api" applies to every /api request
+  rateLimits: {
+    api: { windowMs: 15 * 60 * 1000, max: 1000 },
+    credentials: { windowMs: 15 * 60 * 1000, max: 20 },
+    events: { windowMs: 60 * 1000, max: 30 }
+  },
+  storage: { backend: 'json', sqliteFile: null },
+  sourceChecks: { enabled: true, intervalMs: 30 * 60 * 1000 },
+  logLevel: 'info',
+  auth: { secret: null, adminApiKey: null, adminEmails: [] }
+};
+
+const SIZE_PATTERN = /^\d+(\.\d+)?(b|kb|mb|gb)$/i;
+const ORIGIN_PATTERN = /^https?:\/\/[^/?#\s]+$/;
+const PROXY_NAMES = ['loopback', 'linklocal', 'uniquelocal'];
+
+const toInteger = value => (/^-?\d+$/.test(value.trim()) ? Number(value) : value);
+const toList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+const SWITCHES = { on: true, true: true, off: false, false: false };
+const toSwitch = value => SWITCHES[value.trim().toLowerCase()] ?? value;
+const toTrustProxy = value => {
+  const parsed = toSwitch(value);
+  if (typeof parsed === 'boolean') return parsed;
+  return /^\d+$/.test(value.trim()) ? Number(value) : toList(value);
+};
+
+// Environment variable -> [setting path, parser]
+const ENVIRONMENT = {
+  PORT: ['port', toInteger],
+  DATA_DIR: ['dataDir'],
+  STATIC_ROOT: ['staticRoot'],
+  BODY_LIMIT_JSON: ['bodyLimits.json'],
+  BODY_LIMIT_FORM: ['bodyLimits.form'],
+  BODY_LIMIT_TEXT: ['bodyLimits.text'],
+  TRUST_PROXY: ['trustProxy', toTrustProxy],
+  CORS_ORIGINS: ['cors.origins', toList],
+  STORAGE_BACKEND: ['storage.backend'],
+  SQLITE_FILE: ['storage.sqliteFile'],
+  SOURCE_CHECKS: ['sourceChecks.enabled', toSwitch],
+  SOURCE_CHECK_INTERVAL_MS: ['sourceChecks.intervalMs', toInteger],
+  LOG_LEVEL: ['logLevel'],
+  AUTH_SECRET: ['auth.secret'],
+  ADMIN_API_KEY: ['auth.adminApiKey'],
+  ADMIN_EMAILS: ['auth.adminEmails', value => toList(value).map(email => email.toLowerCase())],
+  ...Object.fromEntries(Object.keys(DEFAULTS.rateLimits).flatMap(policy => [
+    [`RATE_LIMIT_${policy.toUpperCase()}_MAX`, [`rateLimits.${policy}.max`, toInteger]],
+    [`RATE_LIMIT_${policy.toUpperCase()}_WINDOW_MS`, [`rateLimits.${policy}.windowMs`, toInteger]]
+  ]))
+};
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Overlay a config file onto the defaults; keys the defaults do not have are reported
+function merge(base, overrides, path, problems) {
+  const merged = structuredClone(base);
+  Object.entries(overrides).forEach(([key, value]) => {
+    const setting = path ? `${path}.${key}` : key;
+    if (!(key in base)) {
+      problems.push(`${setting} is not a known setting`);
+    } else if (isPlainObject(base[key])) {
+      if (isPlainObject(value)) merged[key] = merge(base[key], value, setting, problems);
+      else problems.push(`${setting} must be an object (got ${describe(value)})`);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((node, key) => node[key], target)[last] = value;
+}
+
+function readConfigFile(env, problems) {
+  const file = env.CONFIG_FILE ? resolve(ROOT_DIR, env.CONFIG_FILE) : join(ROOT_DIR, DEFAULT_CONFIG_FILE);
+  if (!env.CONFIG_FILE && !existsSync(file)) return { file: null, values: {} };
+
+  try {
+    const values = JSON.parse(readFileSync(file, 'utf8'));
+    if (!isPlainObject(values)) {
+      problems.push(`${file} must contain a JSON object`);
+      return { file, values: {} };
+    }
+    return { file, values };
+  } catch (error) {
+    problems.push(`Cannot read config file ${file}: ${error.message}`);
+    return { file, values: {} };
+  }
+}
+
+// Problems with the merged settings, one message each
+function checkConfig(config) {
+  const problems = [];
+  const check = (valid, setting, requirement, value) => {
+    if (!valid) problems.push(`${setting} must be ${requirement} (got ${describe(value)})`);
+  };
+  const isInteger = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  const isSize = value => (typeof value === 'string' && SIZE_PATTERN.test(value)) || isInteger(value, 1);
+
+  check(isInteger(config.port, 1, 65535), 'port', 'an integer between 1 and 65535', config.port);
+  check(isText(config.dataDir), 'dataDir', 'a directory path', config.dataDir);
+  check(isText(config.staticRoot), 'staticRoot', 'a directory path', config.staticRoot);
+  Object.entries(config.bodyLimits).forEach(([parser, limit]) => {
+    check(isSize(limit), `bodyLimits.${parser}`, 'a size such as "100kb" or a number of bytes', limit);
+  });
+
+  const { trustProxy } = config;
+  check(
+    typeof trustProxy === 'boolean' ||
+      isInteger(trustProxy, 0) ||
+      (Array.isArray(trustProxy) && trustProxy.length > 0 &&
+        trustProxy.every(entry => PROXY_NAMES.includes(entry) || (typeof entry === 'string' && isIP(entry.split('/')[0])))),
+    'trustProxy',
+    `true, false, a hop count or a list of addresses, subnets or ${PROXY_NAMES.join('/')}`,
+    trustProxy
+  );
+
+  const { origins } = config.cors;
+  if (!Array.isArray(origins) || !origins.every(origin => origin === '*' || (typeof origin === 'string' && ORIGIN_PATTERN.test(origin)))) {
+    check(false, 'cors.origins', 'a list of origins such as "https://viewmax.example" or ["*"]', origins);
+  } else if (origins.includes('*') && origins.length > 1) {
+    problems.push('cors.origins cannot combine "*" with other origins; use ["*"] alone to allow any origin');
+  }
+
+  Object.entries(config.rateLimits).forEach(([policy, limits]) => {
+    if (!isPlainObject(limits)) {
+      return check(false, `rateLimits.${policy}`, 'an object with windowMs and max', limits);
+    }
+    check(isInteger(limits.windowMs, 1000), `rateLimits.${policy}.windowMs`, 'an integer of at least 1000', limits.windowMs);
+    check(isInteger(limits.max, 1), `rateLimits.${policy}.max`, 'a positive integer', limits.max);
+  });
+
+  check(STORAGE_BACKENDS.includes(config.storage.backend), 'storage.backend', `one of ${STORAGE_BACKENDS.join(', ')}`, config.storage.backend);
+  check(config.storage.sqliteFile === null || isText(config.storage.sqliteFile), 'storage.sqliteFile', 'a file path', config.storage.sqliteFile);
+  check(typeof config.sourceChecks.enabled === 'boolean', 'sourceChecks.enabled', 'true or false (on or off)', config.sourceChecks.enabled);
+  check(isInteger(config.sourceChecks.intervalMs, 1000), 'sourceChecks.intervalMs', 'an integer of at least 1000', config.sourceChecks.intervalMs);
+  check(LOG_LEVEL_NAMES.includes(config.logLevel), 'logLevel', `one of ${LOG_LEVEL_NAMES.join(', ')}`, config.logLevel);
+
+  check(config.auth.secret === null || isText(config.auth.secret), 'auth.secret', 'a non-empty string', config.auth.secret);
+  check(config.auth.adminApiKey === null || isText(config.auth.adminApiKey), 'auth.adminApiKey', 'a non-empty string', config.auth.adminApiKey);
+  check(Array.isArray(config.auth.adminEmails) && config.auth.adminEmails.every(isText), 'auth.adminEmails', 'a list of email addresses', config.auth.adminEmails);
+
+  if (problems.length === 0 && resolve(ROOT_DIR, config.dataDir) === resolve(ROOT_DIR, config.staticRoot)) {
+    problems.push('dataDir and staticRoot must be different directories');
+  }
+  return problems;
+}
+
+// Build and check the settings; throws listing every problem found
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const { file, values } = readConfigFile(env, problems);
+  const config = merge(DEFAULTS, values, '', problems);
+
+  Object.entries(ENVIRONMENT).forEach(([name, [path, parse = value => value]]) => {
+    if (env[name] !== undefined && env[name] !== '') setPath(config, path, parse(env[name]));
+  });
+
+  problems.push(...checkConfig(config));
+  if (problems.length > 0) {
+    const sources = ['defaults', file, 'environment'].filter(Boolean).join(', ');
+    throw new Error(`Invalid configuration (from ${sources}):\n  - ${problems.join('\n  - ')}`);
+  }
+
+  config.file = file;
+  config.dataDir = resolve(ROOT_DIR, config.dataDir);
+  config.staticRoot = resolve(ROOT_DIR, config.staticRoot);
+  config.storage.sqliteFile = config.storage.sqliteFile
+    ? resolve(ROOT_DIR, config.storage.sqliteFile)
+    : join(config.dataDir, 'viewmax.db');
+  return config;
+}
+
+export const config = loadConfig();
@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines.
+//
+// Cells a spreadsheet would read as a formula (starting with =, +, -, @, a tab or a
+// carriage return) are written with a leading ' and read back without it. Cells that
+// already start with ' before one of those get one more, so every value round-trips.
+
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+const PROTECTED_PATTERN = /^'+[=+\-@\t\r]/;
+
+function unprotect(cell) {
+  return PROTECTED_PATTERN.test(cell) ? cell.slice(1) : cell;
+}
+
+// Parse CSV text into one object per row, keyed by the header row
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(name => unprotect(name.trim()));
+  return records.map(cells => Object.fromEntries(columns.map((column, index) => [column, unprotect(cells[index] ?? '')])));
+}
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = FORMULA_PATTERN.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize objects to CSV with the given columns, in order
+export function toCSV(columns, rows) {
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
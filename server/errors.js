@@ -0,0 +1,39 @@
+import { logger } from './logger.js';
+
+// Error carrying the HTTP status and message a route should respond with
+export class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Request parameters (or, with code 'invalid_body', body fields) that break their
+// rules; details are { code, field, message }
+export class ValidationError extends ApiError {
+  constructor(details, { message = 'Invalid request parameters', code = 'invalid_parameters' } = {}) {
+    super(400, message, details);
+    this.name = 'ValidationError';
+    this.code = code;
+  }
+}
+
+// Send an ApiError as-is, anything else as a 500 with the given fallback message.
+// Unexpected errors are logged with the request id the response carries.
+export function sendError(res, error, fallbackMessage) {
+  if (error instanceof ApiError) {
+    const body = { success: false, error: error.message };
+    if (error.code) body.code = error.code;
+    if (error.details) body.details = error.details;
+    return res.status(error.status).json(body);
+  }
+
+  logger.error(fallbackMessage, { requestId: res.req?.id, error });
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    message: error.message
+  });
+}
@@ -0,0 +1,98 @@
+import { storage as defaultStorage } from './storage.js';
+
+export const EVENT_TYPES = ['play', 'source_switch', 'complete'];
+
+// How much each event type counts towards a title's trending score
+const EVENT_WEIGHTS = {
+  play: 1,
+  source_switch: 0,
+  complete: 2
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Trending windows: events older than `span` are ignored, newer ones decay by `halfLife`
+export const TRENDING_WINDOWS = {
+  day: { span: DAY, halfLife: 6 * HOUR },
+  week: { span: 7 * DAY, halfLife: 2 * DAY },
+  month: { span: 30 * DAY, halfLife: 7 * DAY }
+};
+
+const RETENTION = Math.max(...Object.values(TRENDING_WINDOWS).map(w => w.span));
+
+// A client repeating an event for the same title (and episode) within this long is only counted once
+export const DEDUPE_WINDOW = 30 * 60 * 1000;
+
+// Append-only log of playback events (the "events" storage log),
+// with the recent events kept in memory for scoring
+export class EventLog {
+  constructor({ storage = defaultStorage, log = 'events' } = {}) {
+    this.storage = storage;
+    this.log = log;
+    this.recent = [];
+    // Dedupe key -> time last recorded, oldest first; kept in memory only
+    this.seen = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    const cutoff = Date.now() - RETENTION;
+    for await (const event of this.storage.entries(this.log)) {
+      if (Date.parse(event.timestamp) >= cutoff) this.recent.push(event);
+    }
+  }
+
+  // Whether `client` already sent this event within DEDUPE_WINDOW; otherwise remembers it
+  isDuplicate(client, event, now = Date.now()) {
+    for (const [key, time] of this.seen) {
+      if (now - time < DEDUPE_WINDOW) break;
+      this.seen.delete(key);
+    }
+
+    const key = [client, event.type, event.titleId, event.season, event.episode].join('|');
+    if (this.seen.has(key)) return true;
+    this.seen.set(key, now);
+    return false;
+  }
+
+  // Store an event; returns null when `client` already sent it within DEDUPE_WINDOW
+  async record(event, { client } = {}) {
+    if (client && this.isDuplicate(client, event)) return null;
+
+    const entry = { ...event, timestamp: new Date().toISOString() };
+    this.recent.push(entry);
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.storage.append(this.log, entry));
+    await this.writeQueue;
+    return entry;
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - RETENTION;
+    if (this.recent.length > 0 && Date.parse(this.recent[0].timestamp) < cutoff) {
+      this.recent = this.recent.filter(event => Date.parse(event.timestamp) >= cutoff);
+    }
+  }
+
+  // Time-decayed score and raw play count per title id within a window
+  scores(windowName = 'week', now = Date.now()) {
+    const { span, halfLife } = TRENDING_WINDOWS[windowName];
+    this.prune(now);
+
+    const scores = new Map();
+    this.recent.forEach(event => {
+      const age = now - Date.parse(event.timestamp);
+      if (age < 0 || age > span) return;
+
+      const entry = scores.get(event.titleId) || { score: 0, plays: 0 };
+      entry.score += EVENT_WEIGHTS[event.type] * Math.pow(0.5, age / halfLife);
+      if (event.type === 'play') entry.plays += 1;
+      scores.set(event.titleId, entry);
+    });
+    return scores;
+  }
+}
+
+export const eventLog = new EventLog();
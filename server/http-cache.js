@@ -0,0 +1,42 @@
+// Cache headers for GET routes. Every response body already gets a strong
+// content-hash ETag, and Express answers a matching If-None-Match with 304
+// (app.set('etag', 'strong') in server.js). Route definitions choose a policy
+// here for Cache-Control and, for catalog reads, Last-Modified.
+import { catalogStore } from './catalog-store.js';
+
+export const CACHE_POLICIES = {
+  // Built from the in-memory catalog; Last-Modified is when it last changed
+  catalog: { control: 'public, max-age=60, must-revalidate', lastModified: true },
+  // Changes with playback events or source health
+  dynamic: { control: 'public, max-age=30, must-revalidate' },
+  // The API description only changes with a deploy
+  static: { control: 'public, max-age=300' },
+  // Depends on who is asking; browsers keep it but always revalidate
+  private: { control: 'private, no-cache', vary: 'Authorization' },
+  none: { control: 'no-store' }
+};
+
+// Middleware setting the headers for a policy name or { control, lastModified, vary }
+export function cacheHeaders(policy) {
+  const { control, lastModified, vary } = (typeof policy === 'string' ? CACHE_POLICIES[policy] : policy) || {};
+  if (!control) {
+    throw new Error(`Unknown cache policy "${policy}"`);
+  }
+
+  return (req, res, next) => {
+    res.set('Cache-Control', control);
+    if (vary) res.vary(vary);
+    if (lastModified) res.set('Last-Modified', catalogStore.lastModified.toUTCString());
+
+    // Error responses are never cached
+    const send = res.send;
+    res.send = function (body) {
+      if (this.statusCode >= 400) {
+        this.set('Cache-Control', 'no-store');
+        this.removeHeader('Last-Modified');
+      }
+      return send.call(this, body);
+    };
+    next();
+  };
+}
@@ -0,0 +1,86 @@
+import { join } from 'path';
+import fs from 'fs/promises';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+export const DATA_DIR = config.dataDir;
+
+// Pending operations per key (a file name here, a collection name in other
+// storage backends), so writes to the same data never interleave
+const lockQueues = new Map();
+
+export function withLock(key, task) {
+  const previous = lockQueues.get(key) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+  lockQueues.set(key, settled);
+  settled.then(() => {
+    if (lockQueues.get(key) === settled) {
+      lockQueues.delete(key);
+    }
+  });
+  return run;
+}
+
+async function loadJSON(filePath) {
+  const data = await fs.readFile(filePath, 'utf8');
+  return JSON.parse(data);
+}
+
+// Write to a temp file next to the target, then rename over it
+async function writeAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Read a JSON file from the data directory, falling back to an empty list
+// (or the given fallback) when it is missing or unreadable
+export async function readJSONFile(filename, fallback = []) {
+  try {
+    return await loadJSON(join(DATA_DIR, filename));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Storage read failed', { file: filename, error });
+    }
+    return fallback;
+  }
+}
+
+// Replace a JSON file in the data directory
+export function writeJSONFile(filename, data) {
+  return withLock(filename, async () => {
+    try {
+      await writeAtomic(join(DATA_DIR, filename), data);
+      return true;
+    } catch (error) {
+      logger.error('Storage write failed', { file: filename, error });
+      return false;
+    }
+  });
+}
+
+// Read-modify-write a JSON file while holding its lock.
+// The mutator changes the parsed data in place and its return value is passed
+// through; if it throws, the file is left untouched. When the file does not
+// exist yet and a defaultValue is given, the mutator starts from a copy of it.
+export function updateJSONFile(filename, mutator, defaultValue) {
+  return withLock(filename, async () => {
+    const filePath = join(DATA_DIR, filename);
+    let data;
+    try {
+      data = await loadJSON(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT' || defaultValue === undefined) throw error;
+      data = structuredClone(defaultValue);
+    }
+    const result = await mutator(data);
+    await writeAtomic(filePath, data);
+    return result;
+  });
+}
@@ -0,0 +1,53 @@
+// Structured logging: one JSON object per line with time, level and msg plus any
+// fields passed along. Errors become { name, message, stack }. Warnings and errors
+// go to stderr, the rest to stdout. config.logLevel (LOG_LEVEL) sets the threshold.
+import { config } from './config.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  if (error.status) serialized.status = error.status;
+  return serialized;
+}
+
+export class Logger {
+  constructor({ level = config.logLevel, fields = {} } = {}) {
+    this.level = level;
+    this.fields = fields;
+  }
+
+  // A logger that adds fields (such as requestId) to every entry
+  child(fields) {
+    return new Logger({ level: this.level, fields: { ...this.fields, ...fields } });
+  }
+
+  write(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+export const logger = new Logger();
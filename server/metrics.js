@@ -0,0 +1,135 @@
+// Process metrics in the Prometheus text exposition format, served at /api/metrics.
+// Request counters and histograms are updated as requests finish; catalog metrics
+// are read from the catalog store when the endpoint is scraped.
+import { catalogStore } from './catalog-store.js';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latency buckets, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const lines = header(this.name, this.help, 'counter');
+    this.values.forEach((value, key) => lines.push(`${this.name}${key} ${value}`));
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = header(this.name, this.help, 'histogram');
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+// A metric whose samples ([labels, value] pairs) are read from their source at scrape time
+class Collected {
+  constructor(name, help, type, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = header(this.name, this.help, this.type);
+    this.collect().forEach(([labels, value]) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+export const httpRequests = new Counter(
+  'viewmax_http_requests_total',
+  'HTTP requests by method, route and status code'
+);
+
+export const httpRequestDuration = new Histogram(
+  'viewmax_http_request_duration_seconds',
+  'HTTP request latency by method and route',
+  DURATION_BUCKETS
+);
+
+export const rateLimited = new Counter(
+  'viewmax_rate_limited_total',
+  'Requests rejected by a rate limiter'
+);
+
+const catalogReloads = new Collected(
+  'viewmax_catalog_reloads_total',
+  'Catalog reloads by result',
+  'counter',
+  () => Object.entries(catalogStore.reloads).map(([result, count]) => [{ result }, count])
+);
+
+const catalogTitles = new Collected(
+  'viewmax_catalog_titles',
+  'Titles currently served by kind',
+  'gauge',
+  () => [[{ kind: 'movies' }, catalogStore.movies.length], [{ kind: 'series' }, catalogStore.series.length]]
+);
+
+const catalogEpisodes = new Collected(
+  'viewmax_catalog_episodes',
+  'Episodes across all served series',
+  'gauge',
+  () => [[{}, catalogStore.series.reduce((total, show) => total + (show.episodes || []).length, 0)]]
+);
+
+const METRICS = [httpRequests, httpRequestDuration, rateLimited, catalogReloads, catalogTitles, catalogEpisodes];
+
+export function renderMetrics() {
+  return `${METRICS.flatMap(metric => metric.render()).join('\n')}\n`;
+}
@@ -0,0 +1,153 @@
+// Embed provider registry (the providers collection, data/providers.json). Each provider has URL templates
+// per kind, filled from a title's external ids at request time:
+//
+//   { "provider": "vidsrc", "label": "Server 1", "priority": 1,
+//     "templates": {
+//       "movie": ["https://vidsrc.xyz/embed/movie/{imdbId}", ...],
+//       "episode": ["https://vidsrc.xyz/embed/tv/{imdbId}/{season}/{episode}", ...] } }
+//
+// Templates are tried in order and the first one whose placeholders are all known
+// is used. A movie or episode may still carry its own `sources` list: an entry
+// for a registry provider overrides its fields (url, label, priority, ...), an
+// entry with `disabled: true` drops that provider, and other entries are added.
+import { storage } from './storage.js';
+import { sortSources } from './sources.js';
+
+const PROVIDERS = 'providers';
+
+// Ids a title can carry in `externalIds`, and the values each accepts.
+// embedSlug is the name providers use for the title in their own URLs.
+export const EXTERNAL_ID_PATTERNS = {
+  imdbId: /^tt\d{5,}$/,
+  tmdbId: /^\d+$/,
+  embedSlug: /^[a-z0-9][a-z0-9-]*$/
+};
+
+export const EXTERNAL_ID_FIELDS = Object.keys(EXTERNAL_ID_PATTERNS);
+
+// The host of an https URL, or of a template whose host has no placeholder; otherwise null
+function httpsHost(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && !hostname.includes('{') ? hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+// What each placeholder can match when reading values back out of a URL
+const PLACEHOLDER_PATTERNS = {
+  ...Object.fromEntries(Object.entries(EXTERNAL_ID_PATTERNS).map(([field, pattern]) => [field, pattern.source.slice(1, -1)])),
+  season: '\\d+',
+  episode: '\\d+'
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Fill a template, or return null when one of its placeholders has no value
+export function fillTemplate(template, values) {
+  let complete = true;
+  const url = template.replace(PLACEHOLDER, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      complete = false;
+      return match;
+    }
+    return encodeURIComponent(value);
+  });
+  return complete ? url : null;
+}
+
+// Reverse of fillTemplate: the placeholder values a URL was built from, or null
+export function matchTemplate(template, url) {
+  const names = [];
+  const pattern = template
+    .split(PLACEHOLDER)
+    .map((part, index) => {
+      if (index % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(part);
+      return `(${PLACEHOLDER_PATTERNS[part] || '[^/?&#]+'})`;
+    })
+    .join('');
+
+  const match = new RegExp(`^${pattern}$`).exec(url);
+  if (!match) return null;
+  return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+}
+
+export class ProviderRegistry {
+  constructor(providers = []) {
+    this.providers = providers;
+  }
+
+  async load(name = PROVIDERS) {
+    this.providers = await storage.read(name, []);
+  }
+
+  get(provider) {
+    return this.providers.find(entry => entry.provider === provider);
+  }
+
+  // Registry sources for a movie (episode omitted) or an episode of a series
+  generate(title, episode) {
+    const kind = episode ? 'episode' : 'movie';
+    const values = { ...title.externalIds, ...(episode && { season: episode.season, episode: episode.episode }) };
+
+    return this.providers.flatMap(({ provider, label, quality = null, language = null, priority, templates }) => {
+      const url = (templates?.[kind] || []).map(template => fillTemplate(template, values)).find(Boolean);
+      return url ? [{ provider, label: label || provider, url, quality, language, priority }] : [];
+    });
+  }
+
+  // Hosts an embedded player may load: those of the registry templates and of the
+  // given (resolved) sources, so per-title overrides are allowed too. Only https counts.
+  embedHosts(sources = []) {
+    const urls = [
+      ...this.providers.flatMap(({ templates }) => Object.values(templates || {}).flat()),
+      ...sources.map(source => source.url)
+    ];
+    return [...new Set(urls.map(httpsHost).filter(Boolean))].sort();
+  }
+
+  // The playable sources for a movie or episode: registry sources merged with
+  // the stored overrides, in priority order
+  resolve(title, episode) {
+    const overrides = (episode ? episode.sources : title.sources) || [];
+    const byProvider = new Map(this.generate(title, episode).map(source => [source.provider, source]));
+
+    overrides.forEach((override, index) => {
+      const { disabled, ...fields } = override;
+      if (disabled) {
+        byProvider.delete(override.provider);
+        return;
+      }
+      const base = byProvider.get(override.provider) || {
+        provider: override.provider,
+        label: override.provider,
+        url: null,
+        quality: null,
+        language: null,
+        priority: index + 1
+      };
+      byProvider.set(override.provider, { ...base, ...fields });
+    });
+
+    return sortSources([...byProvider.values()].filter(source => source.url));
+  }
+}
+
+export const providerRegistry = new ProviderRegistry();
+
+// A movie, or a series with each episode's sources, with sources expanded for clients
+export function withResolvedSources(kind, item) {
+  if (kind === 'movies') {
+    return { ...item, sources: providerRegistry.resolve(item) };
+  }
+  return {
+    ...item,
+    episodes: (item.episodes || []).map(episode => ({
+      ...episode,
+      sources: providerRegistry.resolve(item, episode)
+    }))
+  };
+}
@@ -0,0 +1,35 @@
+import rateLimit from 'express-rate-limit';
+import { config } from './config.js';
+import { rateLimited } from './metrics.js';
+
+const MESSAGES = {
+  api: 'Too many requests from this IP, please try again later.',
+  credentials: 'Too many attempts, please try again later.',
+  events: 'Too many playback events, please try again later.'
+};
+
+// One limiter per policy, so every route using a policy shares its counters
+const limiters = new Map();
+
+// Middleware enforcing a rate-limit policy from config.rateLimits; rejections are counted in the metrics
+export function rateLimiter(policy) {
+  const limits = config.rateLimits[policy];
+  if (!limits) {
+    throw new Error(`Unknown rate-limit policy "${policy}"`);
+  }
+
+  if (!limiters.has(policy)) {
+    limiters.set(policy, rateLimit({
+      windowMs: limits.windowMs,
+      max: limits.max,
+      handler: (req, res, next, options) => {
+        rateLimited.inc({ limiter: policy });
+        res.status(options.statusCode).json({
+          success: false,
+          error: MESSAGES[policy] || 'Too many requests, please try again later.'
+        });
+      }
+    }));
+  }
+  return limiters.get(policy);
+}
@@ -0,0 +1,117 @@
+// "More like this" ranking. Each candidate is scored against the current title by
+// genre overlap, TF-IDF cosine similarity of name + description terms, release-year
+// proximity and rating. A signed-in user's watch history adds an affinity term.
+import { tokenize, STOP_WORDS } from './search-index.js';
+import { splitGenres, releaseYear } from './catalog-fields.js';
+
+const WEIGHTS = {
+  genre: 0.4,
+  terms: 0.3,
+  year: 0.15,
+  rating: 0.15,
+  history: 0.25
+};
+
+// Years apart at which year proximity drops to one half
+const YEAR_SCALE = 5;
+
+function termCounts(item) {
+  const counts = new Map();
+  tokenize(`${item.name || ''} ${item.description || ''}`).forEach(({ term }) => {
+    if (term.length < 2 || STOP_WORDS.has(term)) return;
+    counts.set(term, (counts.get(term) || 0) + 1);
+  });
+  return counts;
+}
+
+function cosine(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  const [small, large] = a.weights.size <= b.weights.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.weights.forEach((weight, term) => {
+    dot += weight * (large.weights.get(term) || 0);
+  });
+  return dot / (a.norm * b.norm);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(value => {
+    if (b.has(value)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function yearProximity(a, b) {
+  if (a === null || b === null) return 0;
+  return 1 / (1 + Math.abs(a - b) / YEAR_SCALE);
+}
+
+export class SimilarityIndex {
+  // documents: [{ type, item }]
+  constructor(documents) {
+    const counts = documents.map(({ item }) => termCounts(item));
+
+    const documentFrequency = new Map();
+    counts.forEach(terms => {
+      terms.forEach((count, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    this.documents = documents.map(({ type, item }, index) => {
+      const weights = new Map();
+      let sumOfSquares = 0;
+      counts[index].forEach((count, term) => {
+        const weight = (1 + Math.log(count)) * Math.log(documents.length / documentFrequency.get(term));
+        if (weight > 0) {
+          weights.set(term, weight);
+          sumOfSquares += weight * weight;
+        }
+      });
+
+      return {
+        type,
+        item,
+        genres: new Set(splitGenres(item.genre).map(genre => genre.toLowerCase())),
+        year: releaseYear(item),
+        rating: Math.min(Math.max(parseFloat(item.rating) || 0, 0), 10) / 10,
+        weights,
+        norm: Math.sqrt(sumOfSquares)
+      };
+    });
+    this.byId = new Map(this.documents.map(doc => [doc.item.id, doc]));
+  }
+
+  // Titles of the same type as titleId, best match first.
+  // history: [{ titleId, completed }] from the user's watch progress; watched
+  // titles pull similar ones up and completed titles are left out.
+  similar(titleId, { limit = 10, history = [] } = {}) {
+    const source = this.byId.get(titleId);
+    if (!source) return [];
+
+    const watched = history
+      .map(entry => this.byId.get(entry.titleId))
+      .filter(doc => doc && doc !== source);
+    const completed = new Set(history.filter(entry => entry.completed).map(entry => entry.titleId));
+    const watchedGenres = new Set(watched.flatMap(doc => [...doc.genres]));
+
+    return this.documents
+      .filter(doc => doc.type === source.type && doc !== source && !completed.has(doc.item.id))
+      .map(doc => {
+        let score = WEIGHTS.genre * jaccard(source.genres, doc.genres) +
+          WEIGHTS.terms * cosine(source, doc) +
+          WEIGHTS.year * yearProximity(source.year, doc.year) +
+          WEIGHTS.rating * doc.rating;
+
+        if (watched.length > 0) {
+          const termAffinity = Math.max(...watched.map(other => cosine(other, doc)));
+          score += WEIGHTS.history * (jaccard(watchedGenres, doc.genres) + termAffinity) / 2;
+        }
+        return { type: doc.type, item: doc.item, score: Math.round(score * 1000) / 1000 };
+      })
+      .sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name))
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,51 @@
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+import { httpRequests, httpRequestDuration } from './metrics.js';
+
+// Incoming ids are reused only if they are short and plain enough to log as-is
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The route pattern a request matched, so metrics are not split per title id
+function routeLabel(req) {
+  if (req.route) return req.baseUrl + req.route.path;
+  return req.originalUrl.startsWith('/api') ? 'unmatched' : 'static';
+}
+
+// Gives every request an id (the caller's X-Request-Id or a fresh one), echoes it
+// back, adds it to error bodies, and logs and counts the request once it finishes
+export function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const json = res.json;
+    res.json = function (body) {
+      if (this.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.requestId) {
+        body = { ...body, requestId: req.id };
+      }
+      return json.call(this, body);
+    };
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeLabel(req);
+      const status = res.statusCode;
+
+      httpRequests.inc({ method: req.method, route, status });
+      httpRequestDuration.observe({ method: req.method, route }, seconds);
+
+      logger[status >= 500 ? 'error' : 'info']('Request completed', {
+        requestId: req.id,
+        method: req.method,
+        route,
+        path: req.originalUrl,
+        status,
+        durationMs: Math.round(seconds * 1e6) / 1e3
+      });
+    });
+
+    next();
+  };
+}
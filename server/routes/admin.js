@@ -0,0 +1,203 @@
+import express from 'express';
+import { requireAdmin } from '../auth.js';
+import { sourceHealth } from '../source-health.js';
+import { catalogStore } from '../catalog-store.js';
+import {
+  getDataset,
+  parseImport,
+  applyImport,
+  assertImportable,
+  exportCatalog,
+  DATASETS,
+  TRANSFER_FORMATS,
+  IMPORT_MODES
+} from '../catalog-transfer.js';
+import { buildIntegrityReport, INTEGRITY_CHECKS } from '../catalog-integrity.js';
+import { storage } from '../storage.js';
+import { sendError, ValidationError } from '../errors.js';
+import { setAdminGrant, publicUser } from '../users.js';
+import { config } from '../config.js';
+import { defineRoutes, ref, ok, list, CATALOG_FILTER_QUERY } from '../api-spec.js';
+
+const router = express.Router();
+const api = defineRoutes(router, '/api');
+
+const DATASET_PARAM = { dataset: { type: 'string', enum: Object.keys(DATASETS) } };
+
+router.use('/admin', requireAdmin);
+
+// Latest probe result for every embed URL; ?status=unhealthy narrows the list
+api.get('/admin/source-health', {
+  summary: 'Latest probe result for every embed URL',
+  tags: ['Admin'],
+  auth: 'admin',
+  query: { status: { type: 'string', enum: ['healthy', 'unhealthy'] } },
+  responses: { 200: ok(list({ type: 'object' }), { summary: { type: 'object' } }) }
+}, (req, res) => {
+  try {
+    const { status } = req.query;
+    const data = [...sourceHealth.results]
+      .map(([url, result]) => ({ url, ...result }))
+      .filter(result => !status || result.status === status);
+    res.json({ success: true, summary: sourceHealth.summary(), data });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch source health');
+  }
+});
+
+// Run a check now instead of waiting for the next scheduled pass
+api.post('/admin/source-health/check', {
+  summary: 'Probe every embed URL now',
+  tags: ['Admin'],
+  auth: 'admin',
+  responses: { 200: ok(null, { summary: { type: 'object' } }) }
+}, async (req, res) => {
+  try {
+    const summary = await sourceHealth.checkAll();
+    res.json({ success: true, summary });
+  } catch (error) {
+    sendError(res, error, 'Source health check failed');
+  }
+});
+
+// Grant or withdraw admin for an account (by id or email). The address must also be
+// listed in ADMIN_EMAILS; the new role applies from the account's next login or refresh.
+api.put('/admin/users/:user/role', {
+  summary: 'Grant or withdraw the admin role',
+  tags: ['Admin'],
+  auth: 'admin',
+  params: { user: { type: 'string', description: 'Account id or email' } },
+  body: {
+    type: 'object',
+    required: ['role'],
+    properties: { role: { type: 'string', enum: ['user', 'admin'] } }
+  },
+  responses: {
+    200: ok(ref('User')),
+    400: { description: 'Invalid role', schema: ref('ValidationError') },
+    404: 'Account not found',
+    409: 'The address is not listed in ADMIN_EMAILS'
+  }
+}, async (req, res) => {
+  try {
+    const role = req.body?.role;
+    if (role !== 'user' && role !== 'admin') {
+      throw new ValidationError([{
+        code: role === undefined ? 'required' : 'invalid_value',
+        field: 'role',
+        message: 'role must be user or admin'
+      }], { message: 'Invalid role', code: 'invalid_body' });
+    }
+    const user = await setAdminGrant(req.params.user, role === 'admin');
+    res.json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to update role');
+  }
+});
+
+// Integrity report over the stored catalog, including entries the schema keeps
+// out of the API; ?severity=error|warning and ?check= narrow the issue list
+api.get('/admin/integrity', {
+  summary: 'Integrity report over the stored catalog',
+  tags: ['Admin'],
+  auth: 'admin',
+  query: {
+    severity: { type: 'string', enum: ['error', 'warning'] },
+    check: { type: 'string', enum: INTEGRITY_CHECKS }
+  },
+  responses: { 200: ok({ type: 'object', description: '{ generatedAt, summary, issues }' }) }
+}, async (req, res) => {
+  try {
+    const { severity, check } = req.query;
+    const [movies, series] = await Promise.all([storage.read('movies', []), storage.read('series', [])]);
+    const report = await buildIntegrityReport({ movies, series });
+    report.issues = report.issues.filter(issue =>
+      (!severity || issue.severity === severity) && (!check || issue.check === check)
+    );
+    res.json({ success: true, data: report });
+  } catch (error) {
+    sendError(res, error, 'Failed to build integrity report');
+  }
+});
+
+// Bulk upsert movies, series or episodes from CSV (text/csv body) or JSON (an array).
+// ?dryRun=true returns the diff without writing, or the same 400/422 the import
+// would give; ?mode=replace also removes what the import leaves out. Nothing is
+// written if any row is invalid.
+api.post(
+  '/admin/catalog/:dataset/import',
+  {
+    summary: 'Bulk upsert movies, series or episodes from CSV or JSON',
+    tags: ['Admin'],
+    auth: 'admin',
+    params: DATASET_PARAM,
+    query: {
+      dryRun: { type: 'boolean', default: false, description: 'Return the diff without writing' },
+      mode: { type: 'string', enum: IMPORT_MODES, default: 'merge', description: 'replace also removes what the import leaves out' },
+      format: { type: 'string', enum: TRANSFER_FORMATS, description: 'Defaults to csv for a text/csv body, json otherwise' }
+    },
+    body: {
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': { schema: list({ type: 'object' }) }
+      }
+    },
+    responses: {
+      200: ok({ type: 'object', description: '{ added, changed, removed, unchanged, errors }' }, { dryRun: { type: 'boolean' } }),
+      400: 'Invalid rows; nothing was written (also returned by a dry run)',
+      422: 'The result does not match the catalog schema (also returned by a dry run)'
+    }
+  },
+  express.text({ type: ['text/csv', 'text/plain'], limit: config.bodyLimits.text }),
+  async (req, res) => {
+    try {
+      const dataset = getDataset(req.params.dataset);
+      const { mode, dryRun } = req.query;
+      const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+      const rows = parseImport(format, req.body);
+
+      const importRows = items => {
+        const result = applyImport(dataset, items, rows, { mode });
+        assertImportable(result);
+        return result;
+      };
+      const diff = dryRun
+        ? await catalogStore.preview(dataset.kind, importRows)
+        : await catalogStore.update(dataset.kind, importRows);
+
+      res.json({ success: true, dryRun, data: diff });
+    } catch (error) {
+      sendError(res, error, 'Failed to import catalog');
+    }
+  }
+);
+
+// Download movies, series or episodes as CSV or JSON, with the catalog list filters
+api.get('/admin/catalog/:dataset/export', {
+  summary: 'Download movies, series or episodes as CSV or JSON',
+  tags: ['Admin'],
+  auth: 'admin',
+  params: DATASET_PARAM,
+  query: {
+    format: { type: 'string', enum: TRANSFER_FORMATS, default: 'csv' },
+    ...CATALOG_FILTER_QUERY,
+    season: { type: 'integer', minimum: 1, description: 'Episodes only: one season' }
+  },
+  responses: {
+    200: { description: 'Export file', contentType: 'text/csv', schema: { type: 'string' } },
+    400: 'Unknown dataset'
+  }
+}, (req, res) => {
+  try {
+    const dataset = getDataset(req.params.dataset);
+    const { format, ...query } = req.query;
+    const file = exportCatalog(dataset, catalogStore.all(dataset.kind), { format, query });
+
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.type(file.contentType).send(file.body);
+  } catch (error) {
+    sendError(res, error, 'Failed to export catalog');
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+import express from 'express';
+import { requireUser } from '../auth.js';
+import { ApiError, sendError } from '../errors.js';
+import { defineRoutes, ref, ok, created } from '../api-spec.js';
+import {
+  createToken,
+  verifyToken,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL
+} from '../tokens.js';
+import {
+  createUser,
+  authenticateUser,
+  findUserById,
+  publicUser,
+  roleOf,
+  addSession,
+  rotateSession,
+  removeSession
+} from '../users.js';
+
+const router = express.Router();
+const api = defineRoutes(router, '/api');
+
+const REFRESH_BODY = {
+  type: 'object',
+  required: ['refreshToken'],
+  properties: { refreshToken: { type: 'string' } }
+};
+
+function issueAccessToken(user) {
+  return createToken('access', { sub: user.id, email: user.email, role: roleOf(user) }, ACCESS_TOKEN_TTL).token;
+}
+
+function issueRefreshToken(user) {
+  const { token, claims } = createToken('refresh', { sub: user.id }, REFRESH_TOKEN_TTL);
+  return { token, jti: claims.jti, expiresAt: new Date(claims.exp * 1000).toISOString() };
+}
+
+function sessionResponse(user, refreshToken) {
+  return {
+    user: publicUser(user),
+    accessToken: issueAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+async function startSession(user) {
+  const refresh = issueRefreshToken(user);
+  await addSession(user.id, refresh.jti, refresh.expiresAt);
+  return sessionResponse(user, refresh.token);
+}
+
+function readRefreshToken(body) {
+  const { claims, error } = verifyToken(body?.refreshToken || '', 'refresh');
+  if (error) {
+    throw new ApiError(401, error === 'token_expired' ? 'Refresh token expired' : 'Invalid refresh token');
+  }
+  return claims;
+}
+
+// Create an account and sign it in
+api.post('/auth/register', {
+  summary: 'Create an account and sign it in',
+  tags: ['Auth'],
+  rateLimit: 'credentials',
+  body: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', format: 'password' },
+      displayName: { type: 'string' }
+    }
+  },
+  responses: { 201: created(ref('Session')), 400: { description: 'Invalid registration', schema: ref('ValidationError') }, 409: 'An account with this email already exists' }
+}, async (req, res) => {
+  try {
+    const user = await createUser(req.body || {});
+    res.status(201).json({ success: true, data: await startSession(user) });
+  } catch (error) {
+    sendError(res, error, 'Registration failed');
+  }
+});
+
+api.post('/auth/login', {
+  summary: 'Sign in with email and password',
+  tags: ['Auth'],
+  rateLimit: 'credentials',
+  body: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: { email: { type: 'string', format: 'email' }, password: { type: 'string', format: 'password' } }
+  },
+  responses: { 200: ok(ref('Session')), 401: 'Invalid email or password' }
+}, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const user = await authenticateUser(email, password);
+    if (!user) {
+      throw new ApiError(401, 'Invalid email or password');
+    }
+    res.json({ success: true, data: await startSession(user) });
+  } catch (error) {
+    sendError(res, error, 'Login failed');
+  }
+});
+
+// Exchange a refresh token for a new token pair; the old refresh token stops working
+api.post('/auth/refresh', {
+  summary: 'Exchange a refresh token for a new token pair',
+  tags: ['Auth'],
+  rateLimit: 'credentials',
+  body: REFRESH_BODY,
+  responses: { 200: ok(ref('Session')), 401: 'Invalid, expired or revoked refresh token' }
+}, async (req, res) => {
+  try {
+    const claims = readRefreshToken(req.body);
+    const user = await findUserById(claims.sub);
+    if (!user) {
+      throw new ApiError(401, 'Invalid refresh token');
+    }
+
+    const refresh = issueRefreshToken(user);
+    const rotated = await rotateSession(user.id, claims.jti, refresh.jti, refresh.expiresAt);
+    if (!rotated) {
+      throw new ApiError(401, 'Refresh token has been revoked');
+    }
+    res.json({ success: true, data: sessionResponse(rotated, refresh.token) });
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh session');
+  }
+});
+
+api.post('/auth/logout', {
+  summary: 'End the session a refresh token belongs to',
+  tags: ['Auth'],
+  body: REFRESH_BODY,
+  responses: { 200: ok(null), 401: 'Invalid refresh token' }
+}, async (req, res) => {
+  try {
+    const claims = readRefreshToken(req.body);
+    await removeSession(claims.sub, claims.jti);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Logout failed');
+  }
+});
+
+api.get('/auth/me', {
+  summary: 'The signed-in account',
+  tags: ['Auth'],
+  auth: 'user',
+  responses: { 200: ok(ref('User')), 404: 'Account not found' }
+}, requireUser, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user) {
+      throw new ApiError(404, 'Account not found');
+    }
+    res.json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch account');
+  }
+});
+
+export default router;
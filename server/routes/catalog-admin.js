@@ -0,0 +1,321 @@
+import express from 'express';
+import { requireAdmin } from '../auth.js';
+import { catalogStore } from '../catalog-store.js';
+import { ApiError, ValidationError, sendError } from '../errors.js';
+import {
+  validateMovie,
+  validateSeries,
+  validateEpisode,
+  validateSeason,
+  sortEpisodes
+} from '../catalog-validation.js';
+import { releaseYear } from '../catalog-fields.js';
+import { generateId, buildSlug, resolveTitle, findNameConflict, applyEdit } from '../title-ids.js';
+import { defineRoutes, ref, ok, created } from '../api-spec.js';
+
+const router = express.Router();
+const api = defineRoutes(router, '/api');
+
+const SERIES_ID = 'Series id, slug or name';
+const EPISODE_PARAMS = {
+  id: SERIES_ID,
+  season: { type: 'integer', minimum: 1, description: 'Season number' },
+  episode: { type: 'integer', minimum: 1, description: 'Episode number' }
+};
+
+// Body errors are { code, field, message }, sent like every other invalid body
+function assertValid({ value, errors }, label) {
+  if (errors.length > 0) {
+    throw new ValidationError(errors, { message: `Invalid ${label}`, code: 'invalid_body' });
+  }
+  return value;
+}
+
+// Titles may be addressed by id, slug, current name or a retired name/slug
+function findTitle(items, key, label) {
+  const match = resolveTitle(items, key);
+  if (!match) {
+    throw new ApiError(404, `${label} not found`);
+  }
+  return match.index;
+}
+
+function assertNameAvailable(items, title, label, ignoreIndex = -1) {
+  const index = findNameConflict(items, title, ignoreIndex);
+  if (index !== -1) {
+    const year = releaseYear(items[index]);
+    throw new ApiError(409, `A ${label.toLowerCase()} named "${items[index].name}"${year ? ` (${year})` : ''} already exists`);
+  }
+}
+
+function findEpisodeIndex(show, season, episode) {
+  const index = (show.episodes || []).findIndex(ep =>
+    ep.season === season && ep.episode === episode
+  );
+  if (index === -1) {
+    throw new ApiError(404, 'Episode not found');
+  }
+  return index;
+}
+
+function assertEpisodeAvailable(show, episode, ignoreIndex = -1) {
+  const index = (show.episodes || []).findIndex(ep =>
+    ep.season === episode.season && ep.episode === episode.episode
+  );
+  if (index !== -1 && index !== ignoreIndex) {
+    throw new ApiError(409, `Season ${episode.season} episode ${episode.episode} already exists`);
+  }
+}
+
+// Create, replace, patch and delete routes for a catalog collection
+function registerTitleRoutes({ path, kind, label, tag, schema, validate }) {
+  const params = { id: `${label} id, slug or name` };
+  const notFound = `${label} not found`;
+
+  api.post(path, {
+    summary: `Create a ${label.toLowerCase()}`,
+    tags: [tag, 'Admin'],
+    auth: 'admin',
+    body: ref(`${schema}Input`),
+    responses: { 201: created(ref(schema)), 400: { description: `Invalid ${label.toLowerCase()}`, schema: ref('ValidationError') }, 409: 'A title with this name and year exists' }
+  }, requireAdmin, async (req, res) => {
+    try {
+      const title = assertValid(validate(req.body), label.toLowerCase());
+      const created = await catalogStore.update(kind, items => {
+        assertNameAvailable(items, title, label);
+        const id = generateId(kind);
+        const entry = { id, slug: buildSlug({ id, ...title }, items), ...title };
+        items.push(entry);
+        return entry;
+      });
+      res.status(201).json({ success: true, data: created });
+    } catch (error) {
+      sendError(res, error, `Failed to create ${label.toLowerCase()}`);
+    }
+  });
+
+  // PUT replaces the whole entry; a series keeps its episodes and season
+  // metadata unless the body sends new ones
+  api.put(`${path}/:id`, {
+    summary: `Replace a ${label.toLowerCase()}`,
+    tags: [tag, 'Admin'],
+    auth: 'admin',
+    params,
+    body: ref(`${schema}Input`),
+    responses: { 200: ok(ref(schema)), 400: { description: `Invalid ${label.toLowerCase()}`, schema: ref('ValidationError') }, 404: notFound, 409: 'A title with this name and year exists' }
+  }, requireAdmin, async (req, res) => {
+    try {
+      const title = assertValid(validate(req.body), label.toLowerCase());
+      const replaced = await catalogStore.update(kind, items => {
+        const index = findTitle(items, req.params.id, label);
+        assertNameAvailable(items, title, label, index);
+        if (req.body.episodes === undefined && items[index].episodes) {
+          title.episodes = items[index].episodes;
+        }
+        if (req.body.seasons === undefined && items[index].seasons) {
+          title.seasons = items[index].seasons;
+        }
+        items[index] = applyEdit(items, index, title);
+        return items[index];
+      });
+      res.json({ success: true, data: replaced });
+    } catch (error) {
+      sendError(res, error, `Failed to update ${label.toLowerCase()}`);
+    }
+  });
+
+  api.patch(`${path}/:id`, {
+    summary: `Change some fields of a ${label.toLowerCase()}`,
+    tags: [tag, 'Admin'],
+    auth: 'admin',
+    params,
+    body: { type: 'object', description: `Any ${schema}Input fields` },
+    responses: { 200: ok(ref(schema)), 400: { description: `Invalid ${label.toLowerCase()}`, schema: ref('ValidationError') }, 404: notFound, 409: 'A title with this name and year exists' }
+  }, requireAdmin, async (req, res) => {
+    try {
+      const changes = assertValid(validate(req.body, { partial: true }), label.toLowerCase());
+      const patched = await catalogStore.update(kind, items => {
+        const index = findTitle(items, req.params.id, label);
+        const { id, slug, aliases, ...current } = items[index];
+        const edited = { ...current, ...changes };
+        assertNameAvailable(items, edited, label, index);
+        if (changes.episodes) {
+          sortEpisodes(changes.episodes);
+        }
+        items[index] = applyEdit(items, index, edited);
+        return items[index];
+      });
+      res.json({ success: true, data: patched });
+    } catch (error) {
+      sendError(res, error, `Failed to update ${label.toLowerCase()}`);
+    }
+  });
+
+  api.delete(`${path}/:id`, {
+    summary: `Delete a ${label.toLowerCase()}`,
+    tags: [tag, 'Admin'],
+    auth: 'admin',
+    params,
+    responses: { 200: ok(ref(schema)), 404: notFound }
+  }, requireAdmin, async (req, res) => {
+    try {
+      const removed = await catalogStore.update(kind, items => {
+        const index = findTitle(items, req.params.id, label);
+        return items.splice(index, 1)[0];
+      });
+      res.json({ success: true, data: removed });
+    } catch (error) {
+      sendError(res, error, `Failed to delete ${label.toLowerCase()}`);
+    }
+  });
+}
+
+registerTitleRoutes({
+  path: '/movies',
+  kind: 'movies',
+  label: 'Movie',
+  tag: 'Movies',
+  schema: 'Movie',
+  validate: validateMovie
+});
+
+registerTitleRoutes({
+  path: '/series',
+  kind: 'series',
+  label: 'Series',
+  tag: 'Series',
+  schema: 'Series',
+  validate: validateSeries
+});
+
+// Add an episode to a series
+api.post('/series/:id/episodes', {
+  summary: 'Add an episode to a series',
+  tags: ['Series', 'Admin'],
+  auth: 'admin',
+  params: { id: SERIES_ID },
+  body: ref('Episode'),
+  responses: { 201: created(ref('Episode')), 400: { description: 'Invalid episode', schema: ref('ValidationError') }, 404: 'Series not found', 409: 'Episode already exists' }
+}, requireAdmin, async (req, res) => {
+  try {
+    const episode = assertValid(validateEpisode(req.body), 'episode');
+    const created = await catalogStore.update('series', series => {
+      const show = series[findTitle(series, req.params.id, 'Series')];
+      assertEpisodeAvailable(show, episode);
+      show.episodes = sortEpisodes([...(show.episodes || []), episode]);
+      return episode;
+    });
+    res.status(201).json({ success: true, data: created });
+  } catch (error) {
+    sendError(res, error, 'Failed to create episode');
+  }
+});
+
+// Replace or patch a single episode; season/episode may be renumbered
+function updateEpisode(partial) {
+  return async (req, res) => {
+    try {
+      const changes = assertValid(validateEpisode(req.body, { partial }), 'episode');
+      const updated = await catalogStore.update('series', series => {
+        const show = series[findTitle(series, req.params.id, 'Series')];
+        const index = findEpisodeIndex(show, req.params.season, req.params.episode);
+        const episode = partial ? { ...show.episodes[index], ...changes } : changes;
+        assertEpisodeAvailable(show, episode, index);
+        show.episodes[index] = episode;
+        sortEpisodes(show.episodes);
+        return episode;
+      });
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      sendError(res, error, 'Failed to update episode');
+    }
+  };
+}
+
+const EPISODE_UPDATE = {
+  tags: ['Series', 'Admin'],
+  auth: 'admin',
+  params: EPISODE_PARAMS,
+  responses: { 200: ok(ref('Episode')), 400: { description: 'Invalid episode', schema: ref('ValidationError') }, 404: 'Series or episode not found', 409: 'Episode already exists' }
+};
+
+api.put('/series/:id/episodes/:season/:episode', {
+  ...EPISODE_UPDATE,
+  summary: 'Replace an episode',
+  body: ref('Episode')
+}, requireAdmin, updateEpisode(false));
+api.patch('/series/:id/episodes/:season/:episode', {
+  ...EPISODE_UPDATE,
+  summary: 'Change some fields of an episode',
+  body: { type: 'object', description: 'Any Episode fields' }
+}, requireAdmin, updateEpisode(true));
+
+api.delete('/series/:id/episodes/:season/:episode', {
+  summary: 'Delete an episode',
+  tags: ['Series', 'Admin'],
+  auth: 'admin',
+  params: EPISODE_PARAMS,
+  responses: { 200: ok(ref('Episode')), 404: 'Series or episode not found' }
+}, requireAdmin, async (req, res) => {
+  try {
+    const removed = await catalogStore.update('series', series => {
+      const show = series[findTitle(series, req.params.id, 'Series')];
+      const index = findEpisodeIndex(show, req.params.season, req.params.episode);
+      return show.episodes.splice(index, 1)[0];
+    });
+    res.json({ success: true, data: removed });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete episode');
+  }
+});
+
+// Set the metadata (title, poster, year, synopsis) for one season
+api.put('/series/:id/seasons/:season', {
+  summary: 'Set the metadata for one season',
+  tags: ['Series', 'Admin'],
+  auth: 'admin',
+  params: { id: SERIES_ID, season: EPISODE_PARAMS.season },
+  body: { type: 'object', description: 'SeasonMetadata without number (taken from the path)' },
+  responses: { 200: ok(ref('SeasonMetadata')), 400: { description: 'Invalid season', schema: ref('ValidationError') }, 404: 'Series not found' }
+}, requireAdmin, async (req, res) => {
+  try {
+    const season = assertValid(
+      validateSeason({ ...req.body, number: req.params.season }),
+      'season'
+    );
+    const saved = await catalogStore.update('series', series => {
+      const show = series[findTitle(series, req.params.id, 'Series')];
+      const seasons = (show.seasons || []).filter(entry => entry.number !== season.number);
+      show.seasons = [...seasons, season].sort((a, b) => a.number - b.number);
+      return season;
+    });
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    sendError(res, error, 'Failed to update season');
+  }
+});
+
+// Remove a season's metadata; its episodes are left alone
+api.delete('/series/:id/seasons/:season', {
+  summary: 'Remove a season\'s metadata; its episodes are left alone',
+  tags: ['Series', 'Admin'],
+  auth: 'admin',
+  params: { id: SERIES_ID, season: EPISODE_PARAMS.season },
+  responses: { 200: ok(ref('SeasonMetadata')), 404: 'Series or season metadata not found' }
+}, requireAdmin, async (req, res) => {
+  try {
+    const removed = await catalogStore.update('series', series => {
+      const show = series[findTitle(series, req.params.id, 'Series')];
+      const index = (show.seasons || []).findIndex(entry => entry.number === req.params.season);
+      if (index === -1) {
+        throw new ApiError(404, 'Season metadata not found');
+      }
+      return show.seasons.splice(index, 1)[0];
+    });
+    res.json({ success: true, data: removed });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete season');
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+import express from 'express';
+import { catalogStore } from '../catalog-store.js';
+import { eventLog, EVENT_TYPES } from '../events.js';
+import { ValidationError, sendError } from '../errors.js';
+import { defineRoutes, ref, ok, created } from '../api-spec.js';
+
+const router = express.Router();
+const api = defineRoutes(router, '/api');
+
+function optionalPositiveInteger(value, field, errors) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    errors.push({
+      code: Number.isInteger(number) ? 'out_of_range' : 'invalid_type',
+      field,
+      message: `${field} must be a positive integer`
+    });
+  }
+  return number;
+}
+
+// Check an incoming event and resolve the title it refers to
+function parseEvent(body) {
+  const errors = [];
+  const { type, titleId, source } = body || {};
+
+  if (!EVENT_TYPES.includes(type)) {
+    errors.push({
+      code: type === undefined ? 'required' : 'invalid_value',
+      field: 'type',
+      message: `type must be one of: ${EVENT_TYPES.join(', ')}`
+    });
+  }
+
+  const movie = titleId ? catalogStore.findById('movies', titleId) : null;
+  const show = titleId && !movie ? catalogStore.findById('series', titleId) : null;
+  if (!movie && !show) {
+    errors.push({
+      code: titleId === undefined ? 'required' : 'invalid_value',
+      field: 'titleId',
+      message: 'titleId must be the id of a movie or series'
+    });
+  }
+
+  const season = optionalPositiveInteger(body?.season, 'season', errors);
+  const episode = optionalPositiveInteger(body?.episode, 'episode', errors);
+  if (source !== undefined && (typeof source !== 'string' || source.length > 50)) {
+    errors.push({
+      code: typeof source === 'string' ? 'too_long' : 'invalid_type',
+      field: 'source',
+      message: 'source must be a string of at most 50 characters'
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, { message: 'Invalid event', code: 'invalid_body' });
+  }
+
+  const event = { type, titleId, kind: movie ? 'movie' : 'series' };
+  if (show && season !== undefined) event.season = season;
+  if (show && episode !== undefined) event.episode = episode;
+  if (source !== undefined) event.source = source;
+  return event;
+}
+
+// Record a playback event (play, source switch or completion). Each client (the
+// signed-in user, or the IP address) counts once per title and episode within the
+// deduplication window, so repeats cannot inflate /api/trending.
+api.post('/events', {
+  summary: 'Record a playback event',
+  tags: ['Events'],
+  auth: 'optional',
+  rateLimit: 'events',
+  body: {
+    type: 'object',
+    required: ['type', 'titleId'],
+    properties: {
+      type: { type: 'string', enum: EVENT_TYPES },
+      titleId: { type: 'string', description: 'Movie or series id' },
+      season: { type: 'integer', minimum: 1 },
+      episode: { type: 'integer', minimum: 1 },
+      source: { type: 'string', maxLength: 50 }
+    }
+  },
+  responses: {
+    200: ok(null, { duplicate: { type: 'boolean', enum: [true] } }, 'Already recorded for this client; not counted again'),
+    201: created({ type: 'object', description: 'The stored event' }),
+    400: { description: 'Invalid event', schema: ref('ValidationError') }
+  }
+}, async (req, res) => {
+  try {
+    const client = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const entry = await eventLog.record(parseEvent(req.body), { client });
+    if (!entry) return res.json({ success: true, duplicate: true });
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to record event');
+  }
+});
+
+export default router;
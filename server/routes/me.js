@@ -0,0 +1,445 @@
+import express from 'express';
+import { requireUser } from '../auth.js';
+import { catalogStore } from '../catalog-store.js';
+import { getUserData, updateUserData, USER_LISTS } from '../user-data.js';
+import { ApiError, ValidationError, sendError } from '../errors.js';
+import { defineRoutes, ref, list, ok, created, MAX_PAGE_SIZE } from '../api-spec.js';
+
+const router = express.Router();
+const api = defineRoutes(router, '/api');
+
+const LISTED_TITLES = list({
+  type: 'object',
+  description: 'The movie or series with type and addedAt'
+});
+const TITLE_ID = { titleId: 'Movie or series id' };
+
+router.use('/me', requireUser);
+
+// Look a title up by id in either collection
+function findTitle(titleId) {
+  const movie = catalogStore.findById('movies', titleId);
+  if (movie) return { kind: 'movie', item: movie };
+  const show = catalogStore.findById('series', titleId);
+  if (show) return { kind: 'series', item: show };
+  return null;
+}
+
+function titleSummary({ kind, item }) {
+  const { id, slug, name, genre, rating, releaseDate, image } = item;
+  return { id, slug, name, genre, rating, releaseDate, image, type: kind };
+}
+
+function validateProgress(body, kind) {
+  const errors = [];
+  const progress = {};
+  const input = body || {};
+
+  if (kind === 'series') {
+    ['season', 'episode'].forEach(field => {
+      const value = Number(input[field]);
+      if (!Number.isInteger(value) || value < 1) {
+        errors.push({
+          code: input[field] === undefined ? 'required' : 'invalid_value',
+          field,
+          message: `${field} must be a positive integer`
+        });
+      } else {
+        progress[field] = value;
+      }
+    });
+  }
+
+  if (input.source !== undefined) {
+    if (typeof input.source !== 'string' || input.source.length > 50) {
+      errors.push({
+        code: typeof input.source === 'string' ? 'too_long' : 'invalid_type',
+        field: 'source',
+        message: 'source must be a string of at most 50 characters'
+      });
+    } else {
+      progress.source = input.source;
+    }
+  }
+
+  if (input.completed !== undefined) {
+    if (typeof input.completed !== 'boolean') {
+      errors.push({ code: 'invalid_type', field: 'completed', message: 'completed must be a boolean' });
+    } else {
+      progress.completed = input.completed;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, { message: 'Invalid progress', code: 'invalid_body' });
+  }
+  return progress;
+}
+
+// Attach the title (and episode title) to a stored progress entry
+function withTitle(entry) {
+  const title = findTitle(entry.titleId);
+  if (!title) return null;
+
+  const result = { ...entry, title: titleSummary(title) };
+  if (title.kind === 'series') {
+    const episode = (title.item.episodes || []).find(ep =>
+      ep.season === entry.season && ep.episode === entry.episode
+    );
+    if (episode) result.episodeTitle = episode.title;
+  }
+  return result;
+}
+
+function sortedProgress(progress) {
+  return Object.values(progress)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(withTitle)
+    .filter(Boolean);
+}
+
+// All saved progress, most recent first
+api.get('/me/progress', {
+  summary: 'All saved progress, most recent first',
+  tags: ['Me'],
+  auth: 'user',
+  responses: { 200: ok(list(ref('Progress'))) }
+}, async (req, res) => {
+  try {
+    const { progress } = await getUserData(req.user.id);
+    res.json({ success: true, data: sortedProgress(progress) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch progress');
+  }
+});
+
+// Titles the user started but has not finished, most recent first
+api.get('/me/continue-watching', {
+  summary: 'Started titles that are not finished, most recent first',
+  tags: ['Me'],
+  auth: 'user',
+  query: { limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 20 } },
+  responses: { 200: ok(list(ref('Progress'))) }
+}, async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const { progress } = await getUserData(req.user.id);
+    const data = sortedProgress(progress)
+      .filter(entry => !entry.completed)
+      .slice(0, limit);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch continue watching');
+  }
+});
+
+api.get('/me/progress/:titleId', {
+  summary: 'Saved progress for one title',
+  tags: ['Me'],
+  auth: 'user',
+  params: TITLE_ID,
+  responses: { 200: ok(ref('Progress')), 404: 'No progress saved for this title' }
+}, async (req, res) => {
+  try {
+    const { progress } = await getUserData(req.user.id);
+    const entry = progress[req.params.titleId];
+    if (!entry) {
+      throw new ApiError(404, 'No progress saved for this title');
+    }
+    res.json({ success: true, data: withTitle(entry) || entry });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch progress');
+  }
+});
+
+// Save the last position (season/episode for series) and source for a title
+api.put('/me/progress/:titleId', {
+  summary: 'Save the last position and source for a title',
+  tags: ['Me'],
+  auth: 'user',
+  params: TITLE_ID,
+  body: {
+    type: 'object',
+    description: 'season and episode are required for series',
+    properties: {
+      season: { type: 'integer', minimum: 1 },
+      episode: { type: 'integer', minimum: 1 },
+      source: { type: 'string', maxLength: 50 },
+      completed: { type: 'boolean' }
+    }
+  },
+  responses: { 200: ok(ref('Progress')), 400: { description: 'Invalid progress', schema: ref('ValidationError') }, 404: 'Title not found' }
+}, async (req, res) => {
+  try {
+    const title = findTitle(req.params.titleId);
+    if (!title) {
+      throw new ApiError(404, 'Title not found');
+    }
+
+    const progress = validateProgress(req.body, title.kind);
+    const entry = await updateUserData(req.user.id, data => {
+      data.progress[title.item.id] = {
+        titleId: title.item.id,
+        kind: title.kind,
+        ...progress,
+        completed: progress.completed || false,
+        updatedAt: new Date().toISOString()
+      };
+      return data.progress[title.item.id];
+    });
+    res.json({ success: true, data: withTitle(entry) });
+  } catch (error) {
+    sendError(res, error, 'Failed to save progress');
+  }
+});
+
+api.delete('/me/progress/:titleId', {
+  summary: 'Forget the progress for a title',
+  tags: ['Me'],
+  auth: 'user',
+  params: TITLE_ID,
+  responses: { 200: ok(ref('Progress')), 404: 'No progress saved for this title' }
+}, async (req, res) => {
+  try {
+    const removed = await updateUserData(req.user.id, data => {
+      const entry = data.progress[req.params.titleId];
+      delete data.progress[req.params.titleId];
+      return entry;
+    });
+    if (!removed) {
+      throw new ApiError(404, 'No progress saved for this title');
+    }
+    res.json({ success: true, data: removed });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete progress');
+  }
+});
+
+// Resolve list entries to full title data, dropping titles removed from the catalog
+function listWithTitles(entries) {
+  return entries
+    .map(entry => {
+      const title = findTitle(entry.titleId);
+      return title ? { ...title.item, type: title.kind, addedAt: entry.addedAt } : null;
+    })
+    .filter(Boolean);
+}
+
+function requireTitle(titleId) {
+  const title = findTitle(titleId);
+  if (!title) {
+    throw new ApiError(404, 'Title not found');
+  }
+  return title;
+}
+
+// List, add, remove and reorder routes for a saved-titles list
+function registerListRoutes(list) {
+  api.get(`/me/${list}`, {
+    summary: `Titles in the ${list}`,
+    tags: ['Me'],
+    auth: 'user',
+    responses: { 200: ok(LISTED_TITLES) }
+  }, async (req, res) => {
+    try {
+      const data = await getUserData(req.user.id);
+      res.json({ success: true, data: listWithTitles(data[list]) });
+    } catch (error) {
+      sendError(res, error, `Failed to fetch ${list}`);
+    }
+  });
+
+  // Adding a title that is already listed leaves the list unchanged
+  api.post(`/me/${list}`, {
+    summary: `Add a title to the ${list}`,
+    tags: ['Me'],
+    auth: 'user',
+    body: { type: 'object', required: ['titleId'], properties: { titleId: { type: 'string' } } },
+    responses: { 201: created(LISTED_TITLES), 404: 'Title not found' }
+  }, async (req, res) => {
+    try {
+      const title = requireTitle(req.body?.titleId);
+      const entries = await updateUserData(req.user.id, data => {
+        if (!data[list].some(entry => entry.titleId === title.item.id)) {
+          data[list].push({ titleId: title.item.id, addedAt: new Date().toISOString() });
+        }
+        return data[list];
+      });
+      res.status(201).json({ success: true, data: listWithTitles(entries) });
+    } catch (error) {
+      sendError(res, error, `Failed to update ${list}`);
+    }
+  });
+
+  // Reorder with the complete list of title ids in their new order
+  api.put(`/me/${list}/order`, {
+    summary: `Reorder the ${list}`,
+    tags: ['Me'],
+    auth: 'user',
+    body: {
+      type: 'object',
+      required: ['titleIds'],
+      properties: { titleIds: { type: 'array', items: { type: 'string' }, description: 'Every listed title id, in the new order' } }
+    },
+    responses: { 200: ok(LISTED_TITLES), 400: { description: `Invalid order: titleIds must contain every title in the ${list} exactly once`, schema: ref('ValidationError') } }
+  }, async (req, res) => {
+    try {
+      const { titleIds } = req.body || {};
+      if (!Array.isArray(titleIds)) {
+        throw new ValidationError([
+          { code: titleIds === undefined ? 'required' : 'invalid_type', field: 'titleIds', message: 'titleIds must be an array of title ids' }
+        ], { message: 'Invalid order', code: 'invalid_body' });
+      }
+
+      const entries = await updateUserData(req.user.id, data => {
+        const current = new Map(data[list].map(entry => [entry.titleId, entry]));
+        if (titleIds.length !== current.size || new Set(titleIds).size !== titleIds.length ||
+            !titleIds.every(id => current.has(id))) {
+          throw new ValidationError([
+            { code: 'invalid_value', field: 'titleIds', message: `titleIds must contain every title in the ${list} exactly once` }
+          ], { message: 'Invalid order', code: 'invalid_body' });
+        }
+        data[list] = titleIds.map(id => current.get(id));
+        return data[list];
+      });
+      res.json({ success: true, data: listWithTitles(entries) });
+    } catch (error) {
+      sendError(res, error, `Failed to reorder ${list}`);
+    }
+  });
+
+  api.delete(`/me/${list}/:titleId`, {
+    summary: `Remove a title from the ${list}`,
+    tags: ['Me'],
+    auth: 'user',
+    params: TITLE_ID,
+    responses: { 200: ok(LISTED_TITLES), 404: `Title is not in the ${list}` }
+  }, async (req, res) => {
+    try {
+      const entries = await updateUserData(req.user.id, data => {
+        const index = data[list].findIndex(entry => entry.titleId === req.params.titleId);
+        if (index === -1) {
+          throw new ApiError(404, `Title is not in the ${list}`);
+        }
+        data[list].splice(index, 1);
+        return data[list];
+      });
+      res.json({ success: true, data: listWithTitles(entries) });
+    } catch (error) {
+      sendError(res, error, `Failed to update ${list}`);
+    }
+  });
+}
+
+USER_LISTS.forEach(registerListRoutes);
+
+// Export both lists with enough detail (slug, name, year) to match titles on another instance
+api.get('/me/lists/export', {
+  summary: 'Download the watchlist and favorites',
+  tags: ['Me'],
+  auth: 'user',
+  responses: {
+    200: {
+      description: 'Export file',
+      schema: {
+        type: 'object',
+        properties: {
+          version: { type: 'integer' },
+          exportedAt: { type: 'string', format: 'date-time' },
+          ...Object.fromEntries(USER_LISTS.map(name => [name, list({ type: 'object' })]))
+        }
+      }
+    }
+  }
+}, async (req, res) => {
+  try {
+    const data = await getUserData(req.user.id);
+    const exported = { version: 1, exportedAt: new Date().toISOString() };
+    USER_LISTS.forEach(list => {
+      exported[list] = listWithTitles(data[list]).map(({ id, slug, name, releaseDate, type, addedAt }) => ({
+        id, slug, name, releaseDate, type, addedAt
+      }));
+    });
+
+    res.set('Content-Disposition', 'attachment; filename="viewmax-lists.json"');
+    res.json(exported);
+  } catch (error) {
+    sendError(res, error, 'Failed to export lists');
+  }
+});
+
+// Match an exported entry by id, then slug, then name (and year when given)
+function matchExportedTitle(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const kinds = entry.type === 'movie' ? ['movies'] : entry.type === 'series' ? ['series'] : ['movies', 'series'];
+
+  for (const kind of kinds) {
+    const byKey = (entry.id && catalogStore.findById(kind, entry.id)) ||
+      (entry.slug && catalogStore.resolve(kind, entry.slug)?.item);
+    if (byKey) return byKey;
+
+    if (entry.name) {
+      const byName = catalogStore.all(kind).find(item =>
+        item.name.toLowerCase() === String(entry.name).toLowerCase() &&
+        (!entry.releaseDate || item.releaseDate === String(entry.releaseDate))
+      );
+      if (byName) return byName;
+    }
+  }
+  return null;
+}
+
+// Import lists from an export; mode "merge" (default) appends, "replace" overwrites
+api.post('/me/lists/import', {
+  summary: 'Import lists from an export, matching titles by id, slug or name',
+  tags: ['Me'],
+  auth: 'user',
+  body: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['merge', 'replace'], default: 'merge' },
+      ...Object.fromEntries(USER_LISTS.map(name => [name, list({ type: 'object' })]))
+    }
+  },
+  responses: { 200: ok({ type: 'object' }, { unmatched: list({ type: 'object' }) }), 400: { description: 'Invalid import: a list is not an array', schema: ref('ValidationError') } }
+}, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const mode = body.mode === 'replace' ? 'replace' : 'merge';
+    const unmatched = [];
+    const imported = {};
+
+    USER_LISTS.forEach(list => {
+      if (body[list] === undefined) return;
+      if (!Array.isArray(body[list])) {
+        throw new ValidationError([
+          { code: 'invalid_type', field: list, message: `${list} must be an array` }
+        ], { message: 'Invalid import', code: 'invalid_body' });
+      }
+      imported[list] = [];
+      body[list].forEach(entry => {
+        const item = matchExportedTitle(entry);
+        if (item) {
+          imported[list].push({ titleId: item.id, addedAt: entry.addedAt || new Date().toISOString() });
+        } else {
+          unmatched.push({ list, entry });
+        }
+      });
+    });
+
+    const result = await updateUserData(req.user.id, data => {
+      Object.entries(imported).forEach(([list, entries]) => {
+        const base = mode === 'replace' ? [] : data[list];
+        const seen = new Set(base.map(entry => entry.titleId));
+        data[list] = [...base, ...entries.filter(entry => !seen.has(entry.titleId) && seen.add(entry.titleId))];
+      });
+      return Object.fromEntries(USER_LISTS.map(list => [list, listWithTitles(data[list])]));
+    });
+
+    res.json({ success: true, data: result, unmatched });
+  } catch (error) {
+    sendError(res, error, 'Failed to import lists');
+  }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+// Inverted index over catalog titles with prefix and typo-tolerant matching.
+// Documents are scored per query token by the best match in each field, weighted
+// so a hit in the name outranks a hit in the genre, which outranks the description.
+
+const FIELD_WEIGHTS = {
+  name: 10,
+  genre: 4,
+  description: 1
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  typo1: 0.6,
+  typo2: 0.4
+};
+
+export const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'his', 'her', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'the', 'their', 'to', 'with'
+]);
+
+const SNIPPET_RADIUS = 60;
+
+function normalize(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Split text into terms, keeping each term's offsets in the original string
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({
+      term: normalize(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+// Names also get adjacent terms joined ("spider" + "man" -> "spiderman")
+// so queries that drop punctuation or spaces still land
+function nameTokens(text) {
+  const tokens = tokenize(text);
+  const joined = [];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    joined.push({
+      term: tokens[i].term + tokens[i + 1].term,
+      start: tokens[i].start,
+      end: tokens[i + 1].end
+    });
+  }
+  return tokens.concat(joined);
+}
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+export function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+  return merged;
+}
+
+// Cut a window of the description around its first match, re-basing the ranges
+function snippet(text, ranges) {
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    matches: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+}
+
+export class SearchIndex {
+  // documents: [{ type, item }]
+  constructor(documents) {
+    this.documents = documents.map(({ type, item }) => ({
+      type,
+      item,
+      fields: {
+        name: { text: item.name || '', tokens: nameTokens(item.name) },
+        genre: { text: item.genre || '', tokens: tokenize(item.genre) },
+        description: { text: item.description || '', tokens: tokenize(item.description) }
+      }
+    }));
+
+    // term -> Map(document index -> Set(field))
+    this.postings = new Map();
+    this.documents.forEach((doc, docIndex) => {
+      Object.entries(doc.fields).forEach(([field, { tokens }]) => {
+        tokens.forEach(({ term }) => {
+          if (field === 'description' && STOP_WORDS.has(term)) return;
+          if (!this.postings.has(term)) this.postings.set(term, new Map());
+          const docs = this.postings.get(term);
+          if (!docs.has(docIndex)) docs.set(docIndex, new Set());
+          docs.get(docIndex).add(field);
+        });
+      });
+    });
+    this.terms = [...this.postings.keys()].sort();
+  }
+
+  // Indexed terms a query token can stand for, with the quality of each match
+  expand(queryTerm) {
+    const matches = new Map();
+    if (this.postings.has(queryTerm)) {
+      matches.set(queryTerm, MATCH_QUALITY.exact);
+    }
+
+    if (queryTerm.length >= 2) {
+      let low = 0;
+      let high = this.terms.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (this.terms[mid] < queryTerm) low = mid + 1; else high = mid;
+      }
+      for (let i = low; i < this.terms.length && this.terms[i].startsWith(queryTerm); i++) {
+        if (!matches.has(this.terms[i])) matches.set(this.terms[i], MATCH_QUALITY.prefix);
+      }
+    }
+
+    const maxTypos = allowedTypos(queryTerm);
+    if (maxTypos > 0) {
+      this.terms.forEach(term => {
+        if (matches.has(term)) return;
+        const distance = editDistance(queryTerm, term, maxTypos);
+        if (distance <= maxTypos) {
+          matches.set(term, distance === 1 ? MATCH_QUALITY.typo1 : MATCH_QUALITY.typo2);
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  // Every query term must match somewhere in a document for it to be returned.
+  // Results are ordered by score, then rating, then name.
+  search(query, { types } = {}) {
+    const queryTokens = tokenize(query).map(token => token.term);
+    const queryTerms = [...new Set(queryTokens)]
+      .filter(term => queryTokens.length === 1 || !STOP_WORDS.has(term));
+    if (queryTerms.length === 0) return [];
+
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    for (const queryTerm of queryTerms) {
+      // Best quality reached per document and field for this query term
+      const best = new Map();
+      this.expand(queryTerm).forEach((quality, term) => {
+        this.postings.get(term).forEach((fields, docIndex) => {
+          if (types && !types.includes(this.documents[docIndex].type)) return;
+          if (!best.has(docIndex)) best.set(docIndex, {});
+          const fieldQuality = best.get(docIndex);
+          fields.forEach(field => {
+            fieldQuality[field] = Math.max(fieldQuality[field] || 0, quality);
+          });
+          if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, new Set());
+          matchedTerms.get(docIndex).add(term);
+        });
+      });
+
+      best.forEach((fieldQuality, docIndex) => {
+        const termScore = Object.entries(fieldQuality)
+          .reduce((sum, [field, quality]) => sum + FIELD_WEIGHTS[field] * quality, 0);
+        const entry = scores.get(docIndex) || { score: 0, hits: 0 };
+        entry.score += termScore;
+        entry.hits += 1;
+        scores.set(docIndex, entry);
+      });
+    }
+
+    const normalizedQuery = queryTokens.join(' ');
+    const results = [];
+    scores.forEach(({ score, hits }, docIndex) => {
+      if (hits < queryTerms.length) return;
+      const doc = this.documents[docIndex];
+
+      // Whole-title matches rank above titles that merely contain the words
+      const normalizedName = tokenize(doc.item.name).map(token => token.term).join(' ');
+      if (normalizedName === normalizedQuery) score += FIELD_WEIGHTS.name;
+      else if (normalizedName.startsWith(normalizedQuery)) score += FIELD_WEIGHTS.name / 2;
+
+      results.push({
+        type: doc.type,
+        item: doc.item,
+        score: Math.round(score * 1000) / 1000,
+        highlights: this.highlights(doc, matchedTerms.get(docIndex))
+      });
+    });
+
+    return results.sort((a, b) =>
+      b.score - a.score ||
+      (parseFloat(b.item.rating) || 0) - (parseFloat(a.item.rating) || 0) ||
+      a.item.name.localeCompare(b.item.name)
+    );
+  }
+
+  // Matched character ranges per field; descriptions are trimmed to a snippet
+  highlights(doc, terms) {
+    const highlights = [];
+    Object.entries(doc.fields).forEach(([field, { text, tokens }]) => {
+      const ranges = mergeRanges(
+        tokens.filter(token => terms.has(token.term)).map(token => [token.start, token.end])
+      );
+      if (ranges.length === 0) return;
+
+      if (field === 'description') {
+        highlights.push({ field, ...snippet(text, ranges) });
+      } else {
+        highlights.push({ field, text, matches: ranges });
+      }
+    });
+    return highlights;
+  }
+}
@@ -0,0 +1,27 @@
+// Season metadata for series. Stored seasons carry { number, title, poster, year, synopsis };
+// seasons that only appear in the episode list get placeholder metadata, and
+// episodeCount is always derived from the episodes so it cannot drift.
+
+export function listSeasons(show) {
+  const counts = new Map();
+  (show.episodes || []).forEach(ep => counts.set(ep.season, (counts.get(ep.season) || 0) + 1));
+
+  const stored = new Map((show.seasons || []).map(season => [season.number, season]));
+  const numbers = [...new Set([...stored.keys(), ...counts.keys()])].sort((a, b) => a - b);
+
+  return numbers.map(number => {
+    const season = stored.get(number) || {};
+    return {
+      number,
+      title: season.title || `Season ${number}`,
+      poster: season.poster || null,
+      year: season.year ?? null,
+      synopsis: season.synopsis || null,
+      episodeCount: counts.get(number) || 0
+    };
+  });
+}
+
+export function findSeason(show, number) {
+  return listSeasons(show).find(season => season.number === number) || null;
+}
@@ -0,0 +1,159 @@
+import { storage as defaultStorage } from './storage.js';
+import { catalogStore } from './catalog-store.js';
+import { providerRegistry } from './providers.js';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+const HEALTH_COLLECTION = 'source-health';
+
+const DEFAULT_OPTIONS = {
+  intervalMs: 30 * 60 * 1000, // 30 minutes
+  timeoutMs: 8000,
+  concurrency: 4,
+  // Consecutive failures before a source is treated as unhealthy, so one slow
+  // response does not pull a working source out of rotation
+  failureThreshold: 2
+};
+
+// Every embed URL the catalog resolves to (movie sources and episode sources)
+export function catalogSourceUrls(catalog, registry = providerRegistry) {
+  const urls = new Set();
+  const add = sources => sources.forEach(({ url }) => urls.add(url));
+
+  catalog.movies.forEach(movie => add(registry.resolve(movie)));
+  catalog.series.forEach(show => (show.episodes || []).forEach(episode => add(registry.resolve(show, episode))));
+  return [...urls];
+}
+
+// Run task over items with at most `limit` in flight
+async function runWithConcurrency(items, limit, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await task(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+// Periodically probes embed URLs and remembers which ones are failing.
+// fetch and getUrls are injectable so checks can run against a local stub server;
+// a null collection keeps results in memory only.
+export class SourceHealthChecker {
+  constructor({ getUrls, fetch = globalThis.fetch, storage = defaultStorage, collection = HEALTH_COLLECTION, ...options } = {}) {
+    this.getUrls = getUrls;
+    this.fetch = fetch;
+    this.storage = storage;
+    this.collection = collection;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // url -> { status, lastChecked, failures, totalFailures, statusCode, error }
+    this.results = new Map();
+    this.timer = null;
+    this.running = null;
+  }
+
+  async load() {
+    const saved = this.collection ? await this.storage.read(this.collection, {}) : {};
+    this.results = new Map(Object.entries(saved));
+  }
+
+  // Request a URL, treating network errors, timeouts and 4xx/5xx answers as failures
+  async probe(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeoutMs);
+
+    try {
+      let response = await this.fetch(url, { method: 'HEAD', redirect: 'follow', signal: controller.signal });
+      // Some providers refuse HEAD; retry those with GET
+      if (response.status === 405 || response.status === 501) {
+        response = await this.fetch(url, { method: 'GET', redirect: 'follow', signal: controller.signal });
+      }
+      return response.status < 400
+        ? { ok: true, statusCode: response.status }
+        : { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, error: error.name === 'AbortError' ? 'timeout' : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async checkUrl(url) {
+    const result = await this.probe(url);
+    const previous = this.results.get(url) || { failures: 0, totalFailures: 0 };
+    const failures = result.ok ? 0 : previous.failures + 1;
+
+    const entry = {
+      status: failures >= this.options.failureThreshold ? 'unhealthy' : 'healthy',
+      lastChecked: new Date().toISOString(),
+      failures,
+      totalFailures: previous.totalFailures + (result.ok ? 0 : 1),
+      statusCode: result.statusCode ?? null
+    };
+    if (result.error) entry.error = result.error;
+
+    this.results.set(url, entry);
+    return entry;
+  }
+
+  // Probe every known URL once; overlapping calls share the same pass
+  checkAll() {
+    if (!this.running) {
+      this.running = (async () => {
+        const urls = this.getUrls();
+        // Forget URLs that are no longer in the catalog
+        const known = new Set(urls);
+        [...this.results.keys()].forEach(url => {
+          if (!known.has(url)) this.results.delete(url);
+        });
+
+        await runWithConcurrency(urls, this.options.concurrency, url => this.checkUrl(url));
+        if (this.collection) {
+          await this.storage.write(this.collection, Object.fromEntries(this.results));
+        }
+        return this.summary();
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  start() {
+    if (this.timer) return;
+    const run = () => this.checkAll().catch(error => {
+      logger.error('Source health check failed', { error });
+    });
+    run();
+    this.timer = setInterval(run, this.options.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  status(url) {
+    return this.results.get(url)?.status || 'unknown';
+  }
+
+  // Sources that have not been checked yet count as healthy
+  isHealthy(url) {
+    return this.status(url) !== 'unhealthy';
+  }
+
+  summary() {
+    const counts = { healthy: 0, unhealthy: 0 };
+    this.results.forEach(({ status }) => {
+      counts[status] += 1;
+    });
+    return { total: this.results.size, ...counts };
+  }
+}
+
+export const sourceHealth = new SourceHealthChecker({
+  getUrls: () => catalogSourceUrls(catalogStore),
+  intervalMs: config.sourceChecks.intervalMs
+});
@@ -0,0 +1,97 @@
+// Embed sources are stored on each movie and episode as an ordered list:
+//   [{ provider, label, url, quality, language, priority }]
+// Lower priority numbers are tried first. Older data used a fixed
+// { source1, source2, source3 } object; migrateSources converts it.
+
+const LEGACY_SOURCE_KEY = /^source(\d+)$/;
+
+// Names older clients send for the first three sources
+const LEGACY_POSITIONS = {
+  primary: 0,
+  secondary: 1,
+  tertiary: 2
+};
+
+// "https://www.2embed.cc/embed/..." -> "2embed"
+export function providerFromUrl(url) {
+  try {
+    const [name] = new URL(url).hostname.replace(/^www\./, '').split('.');
+    return name.toLowerCase().replace(/[^a-z0-9-]/g, '') || 'source';
+  } catch {
+    return 'source';
+  }
+}
+
+export function sortSources(sources) {
+  return sources.sort((a, b) => a.priority - b.priority || a.provider.localeCompare(b.provider));
+}
+
+export function isLegacySources(sources) {
+  return Boolean(sources) && typeof sources === 'object' && !Array.isArray(sources);
+}
+
+// Convert a { source1, source2, ... } object to the list form; lists pass through
+export function migrateSources(sources) {
+  if (!isLegacySources(sources)) return sources;
+
+  const used = new Set();
+  return Object.entries(sources)
+    .map(([key, url]) => ({ key, url, position: parseInt(LEGACY_SOURCE_KEY.exec(key)?.[1]) || Infinity }))
+    .sort((a, b) => a.position - b.position)
+    .map(({ url }, index) => {
+      let provider = providerFromUrl(url);
+      for (let n = 2; used.has(provider); n++) {
+        provider = `${providerFromUrl(url)}-${n}`;
+      }
+      used.add(provider);
+
+      return {
+        provider,
+        label: `Server ${index + 1}`,
+        url,
+        quality: null,
+        language: null,
+        priority: index + 1
+      };
+    });
+}
+
+// Public description of a source, without its URL
+export function describeSource({ provider, label, quality, language, priority }) {
+  return { provider, label, quality, language, priority };
+}
+
+// The source a request asks for: by provider name, by priority, or by a legacy
+// name (primary/secondary/tertiary, source1, source2, ...). Defaults to the first.
+function preferredIndex(sources, { provider, priority, source }) {
+  if (provider) {
+    return sources.findIndex(entry => entry.provider === provider);
+  }
+  if (priority !== undefined) {
+    return sources.findIndex(entry => entry.priority === Number(priority));
+  }
+  if (source) {
+    const legacy = LEGACY_SOURCE_KEY.exec(source);
+    if (legacy) return parseInt(legacy[1]) - 1;
+    if (source in LEGACY_POSITIONS) return LEGACY_POSITIONS[source];
+    return sources.findIndex(entry => entry.provider === source);
+  }
+  return 0;
+}
+
+// Pick the requested source, or the next healthy one after it in priority order.
+// If every source is failing, the requested one is used anyway.
+export function selectSource(sources, request, isHealthy = () => true) {
+  const ordered = sortSources([...sources]);
+  const requested = preferredIndex(ordered, request);
+  const start = requested >= 0 && requested < ordered.length ? requested : 0;
+  const rotated = [...ordered.slice(start), ...ordered.slice(0, start)];
+  const selected = rotated.find(entry => isHealthy(entry.url)) || ordered[start];
+
+  return {
+    source: describeSource(selected),
+    requestedProvider: ordered[start].provider,
+    iframe: selected.url,
+    sources: ordered.map(entry => ({ ...describeSource(entry), healthy: isHealthy(entry.url) }))
+  };
+}
@@ -0,0 +1,101 @@
+// The website's files under config.staticRoot. Only an allowlist is served: the
+// root-level pages, a few named root assets and the asset directories. Deny rules
+// (the ones .htaccess applies under Apache) win over the allowlist, so JSON and
+// source files, dotfiles, backups and scriptsAll/embedded stay private even
+// inside an allowed directory. Anything else falls through to a 404.
+import express from 'express';
+import { readdir } from 'fs/promises';
+import { join, posix, relative, isAbsolute } from 'path';
+import { config } from './config.js';
+
+const PUBLIC_PAGE_PATTERN = /^[\w-]+\.html$/;
+
+const PUBLIC_FILES = [
+  'api-integration.js',
+  'manifest.json',
+  'favicon.ico',
+  'favicon-16x16.png',
+  'favicon-32x32.png',
+  'apple-touch-icon.png',
+  'safari-pinned-tab.svg'
+];
+
+const PUBLIC_DIRECTORIES = ['css', 'icons', 'images', 'js', 'scriptsAll'];
+
+// Checked against the path relative to the static root, case-insensitively
+const DENY_RULES = [
+  { pattern: /(^|\/)\./, reason: 'dotfile' },
+  { pattern: /\.jsonl?$/i, reason: 'data file', except: ['manifest.json'] },
+  { pattern: /\.(bak|backup|old|tmp|swp)$/i, reason: 'backup file' },
+  { pattern: /\.(ts|tsx|mjs|cjs|map|md|log|php|sh|env)$/i, reason: 'source or server file' },
+  { pattern: /\.(db|sqlite)(-wal|-shm|-journal)?$/i, reason: 'database file' },
+  { pattern: /^scriptsAll\/embedded(\/|$)/i, reason: 'private scripts' }
+];
+
+// Why a path (relative to the static root, '/'-separated) is not served, or null if it is
+export function denialReason(path) {
+  const segments = path.split('/');
+  const allowed = segments.length === 1
+    ? PUBLIC_PAGE_PATTERN.test(path) || PUBLIC_FILES.includes(path)
+    : PUBLIC_DIRECTORIES.includes(segments[0]);
+  if (!allowed) return 'not in the public allowlist';
+
+  const rule = DENY_RULES.find(({ pattern, except = [] }) => pattern.test(path) && !except.includes(path));
+  return rule ? rule.reason : null;
+}
+
+// express.static restricted to the allowlist
+export function staticFiles() {
+  const serve = express.static(config.staticRoot, { dotfiles: 'ignore', index: false, redirect: false });
+
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    let path;
+    try {
+      path = posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+    } catch {
+      return next();
+    }
+    if (path.startsWith('..') || denialReason(path)) return next();
+    serve(req, res, next);
+  };
+}
+
+async function listFiles(directory, prefix = '') {
+  const entries = await readdir(directory, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      // Only allowlisted directories can serve anything, so others are not walked
+      if (prefix || PUBLIC_DIRECTORIES.includes(entry.name)) files.push(...await listFiles(join(directory, entry.name), path));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+// Every file the static handler would serve right now, grouped as root files and
+// per-directory counts. Throws if any of them is in the data directory, since
+// that means the deny rules no longer cover what is stored there.
+export async function checkStaticExposure() {
+  const exposed = (await listFiles(config.staticRoot)).filter(path => !denialReason(path));
+
+  const dataDir = relative(config.staticRoot, config.dataDir);
+  if (dataDir && !dataDir.startsWith('..') && !isAbsolute(dataDir)) {
+    const leaked = exposed.filter(path => path.startsWith(`${dataDir.split(/[\\/]/).join('/')}/`));
+    if (leaked.length > 0) {
+      throw new Error(`Static serving would expose data files: ${leaked.join(', ')}`);
+    }
+  }
+
+  const files = exposed.filter(path => !path.includes('/'));
+  const directories = {};
+  exposed.filter(path => path.includes('/')).forEach(path => {
+    const directory = path.split('/')[0];
+    directories[directory] = (directories[directory] || 0) + 1;
+  });
+  return { root: config.staticRoot, total: exposed.length, files, directories };
+}
@@ -0,0 +1,86 @@
+import { watch, createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { join, basename, extname } from 'path';
+import fs from 'fs/promises';
+import { DATA_DIR, readJSONFile, writeJSONFile, updateJSONFile } from './json-file.js';
+
+// Storage backend over plain files in the data directory: each collection is
+// data/<name>.json and each log is data/<name>.log (one JSON object per line)
+export class JSONStorage {
+  constructor() {
+    this.dataDir = DATA_DIR;
+    this.description = `JSON files in ${DATA_DIR}`;
+  }
+
+  fileFor(name) {
+    return `${name}.json`;
+  }
+
+  // Without a fallback, a missing or unparseable collection is an error
+  async read(name, fallback) {
+    if (fallback !== undefined) {
+      return readJSONFile(this.fileFor(name), fallback);
+    }
+    const data = await fs.readFile(join(this.dataDir, this.fileFor(name)), 'utf8');
+    return JSON.parse(data);
+  }
+
+  async has(name) {
+    try {
+      await fs.access(join(this.dataDir, this.fileFor(name)));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  write(name, data) {
+    return writeJSONFile(this.fileFor(name), data);
+  }
+
+  update(name, mutator, defaultValue) {
+    return updateJSONFile(this.fileFor(name), mutator, defaultValue);
+  }
+
+  async append(log, entry) {
+    await fs.appendFile(join(this.dataDir, `${log}.log`), `${JSON.stringify(entry)}\n`);
+  }
+
+  async *entries(log) {
+    const filePath = join(this.dataDir, `${log}.log`);
+    try {
+      await fs.access(filePath);
+    } catch {
+      return;
+    }
+
+    const lines = createInterface({
+      input: createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // Skip a torn or hand-edited line rather than losing the whole log
+      }
+    }
+  }
+
+  async clearLog(log) {
+    await fs.rm(join(this.dataDir, `${log}.log`), { force: true });
+  }
+
+  // Call onChange(name) when a collection file changes on disk; returns a handle with close()
+  watch(onChange) {
+    return watch(this.dataDir, (eventType, filename) => {
+      if (filename && extname(filename) === '.json') {
+        onChange(basename(filename, '.json'));
+      }
+    });
+  }
+
+  close() {}
+}
@@ -0,0 +1,192 @@
+import { withLock } from './json-file.js';
+import { logger } from './logger.js';
+
+// How often other connections' writes are looked for when watching
+const WATCH_INTERVAL_MS = 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS collections (
+    name TEXT PRIMARY KEY,
+    shape TEXT NOT NULL CHECK (shape IN ('array', 'object', 'value')),
+    revision INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL REFERENCES collections (name) ON DELETE CASCADE,
+    key TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, key)
+  );
+  CREATE INDEX IF NOT EXISTS records_by_position ON records (collection, position);
+  CREATE TABLE IF NOT EXISTS log_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    log TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS log_entries_by_log ON log_entries (log, id);
+`;
+
+// Split a collection into rows. Lists of items with unique ids are keyed by id,
+// other lists by position; objects get one row per property.
+function toRecords(data) {
+  if (Array.isArray(data)) {
+    const ids = data.map(item => item?.id);
+    const byId = ids.every(id => typeof id === 'string') && new Set(ids).size === ids.length;
+    return {
+      shape: 'array',
+      records: data.map((item, position) => ({ key: byId ? item.id : `#${position}`, position, data: JSON.stringify(item) }))
+    };
+  }
+  if (data !== null && typeof data === 'object') {
+    return {
+      shape: 'object',
+      records: Object.entries(data).map(([key, value], position) => ({ key, position, data: JSON.stringify(value) }))
+    };
+  }
+  return { shape: 'value', records: [{ key: '', position: 0, data: JSON.stringify(data) }] };
+}
+
+function fromRecords(shape, records) {
+  if (shape === 'array') return records.map(record => JSON.parse(record.data));
+  if (shape === 'object') return Object.fromEntries(records.map(record => [record.key, JSON.parse(record.data)]));
+  return records.length > 0 ? JSON.parse(records[0].data) : null;
+}
+
+// Storage backend over an embedded SQLite database (one local file, no server).
+// Collections are stored a row per item so writes only touch what changed.
+// Database is the better-sqlite3 constructor, passed in so the module is only
+// loaded when this backend is selected.
+export class SQLiteStorage {
+  constructor({ Database, filename }) {
+    this.filename = filename;
+    this.description = `SQLite database ${filename}`;
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      collection: this.db.prepare('SELECT shape, revision FROM collections WHERE name = ?'),
+      revisions: this.db.prepare('SELECT name, revision FROM collections'),
+      records: this.db.prepare('SELECT key, position, data FROM records WHERE collection = ? ORDER BY position'),
+      saveCollection: this.db.prepare(`
+        INSERT INTO collections (name, shape, revision, updated_at) VALUES (@name, @shape, 1, @now)
+        ON CONFLICT (name) DO UPDATE SET shape = @shape, revision = revision + 1, updated_at = @now
+      `),
+      saveRecord: this.db.prepare(`
+        INSERT INTO records (collection, key, position, data) VALUES (@collection, @key, @position, @data)
+        ON CONFLICT (collection, key) DO UPDATE SET position = @position, data = @data
+      `),
+      deleteRecord: this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+      append: this.db.prepare('INSERT INTO log_entries (log, data) VALUES (?, ?)'),
+      entries: this.db.prepare('SELECT data FROM log_entries WHERE log = ? ORDER BY id'),
+      clearLog: this.db.prepare('DELETE FROM log_entries WHERE log = ?')
+    };
+
+    // Replace a collection's rows, writing only rows that were added or changed
+    this.replace = this.db.transaction((name, data) => {
+      const { shape, records } = toRecords(data);
+      const existing = new Map(this.statements.records.all(name).map(record => [record.key, record]));
+
+      this.statements.saveCollection.run({ name, shape, now: new Date().toISOString() });
+      records.forEach(record => {
+        const previous = existing.get(record.key);
+        existing.delete(record.key);
+        if (previous && previous.position === record.position && previous.data === record.data) return;
+        this.statements.saveRecord.run({ collection: name, ...record });
+      });
+      existing.forEach((record, key) => this.statements.deleteRecord.run(name, key));
+    });
+  }
+
+  load(name) {
+    const collection = this.statements.collection.get(name);
+    if (!collection) return undefined;
+    return fromRecords(collection.shape, this.statements.records.all(name));
+  }
+
+  // Without a fallback, a missing collection is an error
+  async read(name, fallback) {
+    try {
+      const data = this.load(name);
+      if (data !== undefined) return data;
+    } catch (error) {
+      if (fallback === undefined) throw error;
+      logger.error('Storage read failed', { collection: name, file: this.filename, error });
+      return fallback;
+    }
+    if (fallback === undefined) {
+      throw new Error(`${this.filename} has no ${name} collection`);
+    }
+    return fallback;
+  }
+
+  async has(name) {
+    return Boolean(this.statements.collection.get(name));
+  }
+
+  write(name, data) {
+    return withLock(`sqlite:${name}`, async () => {
+      try {
+        this.replace(name, data);
+        return true;
+      } catch (error) {
+        logger.error('Storage write failed', { collection: name, file: this.filename, error });
+        return false;
+      }
+    });
+  }
+
+  // Same contract as updateJSONFile: the mutator changes the data in place and
+  // its return value is passed through; if it throws, nothing is written
+  update(name, mutator, defaultValue) {
+    return withLock(`sqlite:${name}`, async () => {
+      let data = this.load(name);
+      if (data === undefined) {
+        if (defaultValue === undefined) throw new Error(`${this.filename} has no ${name} collection`);
+        data = structuredClone(defaultValue);
+      }
+      const result = await mutator(data);
+      this.replace(name, data);
+      return result;
+    });
+  }
+
+  async append(log, entry) {
+    this.statements.append.run(log, JSON.stringify(entry));
+  }
+
+  async *entries(log) {
+    for (const { data } of this.statements.entries.iterate(log)) {
+      yield JSON.parse(data);
+    }
+  }
+
+  async clearLog(log) {
+    this.statements.clearLog.run(log);
+  }
+
+  // Call onChange(name) when a collection's revision moves, including writes
+  // from other processes (such as the migration tools)
+  watch(onChange) {
+    const revisions = () => new Map(this.statements.revisions.all().map(row => [row.name, row.revision]));
+    let seen = revisions();
+
+    const timer = setInterval(() => {
+      const current = revisions();
+      current.forEach((revision, name) => {
+        if (seen.get(name) !== revision) onChange(name);
+      });
+      seen = current;
+    }, WATCH_INTERVAL_MS);
+    timer.unref();
+
+    return { close: () => clearInterval(timer) };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,80 @@
+// Persistence goes through a storage backend chosen by config.storage:
+//
+//   backend: 'json'    <dataDir>/<name>.json files (default)
+//   backend: 'sqlite'  an embedded SQLite database at sqliteFile
+//                      (default <dataDir>/viewmax.db), needs better-sqlite3
+//
+// Every backend implements:
+//   read(name, fallback)              whole collection; throws when missing and no fallback
+//   has(name)                         whether the collection exists
+//   write(name, data)                 replace a collection; resolves false on failure
+//   update(name, mutator, default)    locked read-modify-write, see updateJSONFile
+//   append(log, entry) / entries(log) / clearLog(log)   append-only logs
+//   watch(onChange)                   onChange(name) after a collection changes; returns { close }
+//   close()
+import { config } from './config.js';
+import { JSONStorage } from './storage-json.js';
+
+export { STORAGE_BACKENDS } from './config.js';
+
+// Collections and logs the app keeps, in the order the migration tools copy them.
+// source-health is a cache of probe results and is rebuilt by the next check.
+export const STORAGE_COLLECTIONS = ['movies', 'series', 'providers', 'users', 'user-data'];
+export const STORAGE_LOGS = ['events'];
+
+export async function createStorage({ backend, sqliteFile }) {
+  if (backend === 'json') {
+    return new JSONStorage();
+  }
+
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error(`The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+  }
+  const { SQLiteStorage } = await import('./storage-sqlite.js');
+  return new SQLiteStorage({ Database, filename: sqliteFile });
+}
+
+// Copy every collection and log from one backend to another. Existing data in
+// the target is left alone unless force is set; returns what was copied.
+export async function copyStorage(source, target, { force = false } = {}) {
+  const report = { collections: [], logs: [], skipped: [] };
+
+  for (const name of STORAGE_COLLECTIONS) {
+    if (!(await source.has(name))) continue;
+    if (!force && (await target.has(name))) {
+      report.skipped.push(name);
+      continue;
+    }
+    const data = await source.read(name);
+    if (!(await target.write(name, data))) {
+      throw new Error(`Failed to write ${name}`);
+    }
+    report.collections.push({ name, size: Array.isArray(data) ? data.length : Object.keys(data).length });
+  }
+
+  for (const log of STORAGE_LOGS) {
+    const existing = target.entries(log);
+    const { done: empty } = await existing.next();
+    await existing.return();
+    if (!empty) {
+      if (!force) {
+        report.skipped.push(log);
+        continue;
+      }
+      await target.clearLog(log);
+    }
+    let count = 0;
+    for await (const entry of source.entries(log)) {
+      await target.append(log, entry);
+      count += 1;
+    }
+    report.logs.push({ name: log, size: count });
+  }
+
+  return report;
+}
+
+export const storage = await createStorage(config.storage);
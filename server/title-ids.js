@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { releaseYear } from './catalog-fields.js';
+
+const ID_PREFIXES = {
+  movies: 'mv',
+  series: 'tv'
+};
+
+// Immutable identifier, assigned once when a title enters the catalog
+export function generateId(kind) {
+  return `${ID_PREFIXES[kind]}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Ids imported from another catalog must still carry this catalog's prefix
+export function isValidId(kind, id) {
+  return new RegExp(`^${ID_PREFIXES[kind]}-[a-z0-9]+$`).test(String(id));
+}
+
+export function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// URL slug from name and release year, suffixed when another title already uses it
+export function buildSlug(item, items) {
+  const year = releaseYear(item);
+  const base = [slugify(item.name), year].filter(Boolean).join('-') || 'untitled';
+  const taken = new Set(items.filter(other => other !== item && other.id !== item.id).map(other => other.slug));
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+// Give every entry missing one an id and slug; returns whether anything changed
+export function assignIdentifiers(kind, items) {
+  let changed = false;
+  items.forEach((item, index) => {
+    if (item.id && item.slug) return;
+    const { id, slug, ...rest } = item;
+    const withId = { id: id || generateId(kind), ...rest };
+    items[index] = { id: withId.id, slug: slug || buildSlug(withId, items), ...rest };
+    changed = true;
+  });
+  return changed;
+}
+
+// Record the outgoing name and slug as aliases and give the entry a fresh slug
+// when an edit changes its name or release year
+export function refreshSlug(previous, updated, items) {
+  if (previous.name === updated.name && releaseYear(previous) === releaseYear(updated)) {
+    return updated;
+  }
+
+  const aliases = new Set(previous.aliases || []);
+  aliases.add(previous.slug);
+  aliases.add(previous.name);
+
+  const slug = buildSlug({ ...updated, slug: undefined }, items);
+  aliases.delete(slug);
+  aliases.delete(updated.name);
+
+  return { ...updated, slug, aliases: [...aliases].filter(Boolean) };
+}
+
+// Index of another title with the same name and release year, or -1.
+// Titles may share a name (remakes) as long as their release years differ.
+export function findNameConflict(items, title, ignoreIndex = -1) {
+  return items.findIndex((item, index) =>
+    index !== ignoreIndex &&
+    item.name.toLowerCase() === title.name.toLowerCase() &&
+    releaseYear(item) === releaseYear(title)
+  );
+}
+
+// Keep the immutable fields of an existing entry when an edit replaces it
+export function applyEdit(items, index, edited) {
+  const { id, slug, aliases } = items[index];
+  const updated = { id, slug, ...edited };
+  if (aliases) updated.aliases = aliases;
+  return refreshSlug(items[index], updated, items);
+}
+
+// Find a title by id or slug (canonical), or by current name, old name or old slug.
+// Returns { item, index, canonical }, or null when nothing matches.
+export function resolveTitle(items, key) {
+  const value = String(key);
+  const lower = value.toLowerCase();
+
+  let index = items.findIndex(item => item.id === value || item.slug === lower);
+  if (index !== -1) return { item: items[index], index, canonical: true };
+
+  index = items.findIndex(item => item.name.toLowerCase() === lower);
+  if (index === -1) {
+    index = items.findIndex(item =>
+      (item.aliases || []).some(alias => alias.toLowerCase() === lower)
+    );
+  }
+  if (index !== -1) return { item: items[index], index, canonical: false };
+
+  return null;
+}
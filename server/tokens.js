@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+export const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // seconds
+
+let generatedSecret = null;
+
+// Signing key from config.auth.secret; without it tokens only survive until the next restart
+function getSecret() {
+  if (config.auth.secret) return config.auth.secret;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('AUTH_SECRET is not set; using a random key, sessions will not survive a restart');
+  }
+  return generatedSecret;
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+// Issue an HS256 JWT of the given type ('access' or 'refresh').
+// Returns the token along with the full claims it carries.
+export function createToken(type, claims, ttl) {
+  const now = Math.floor(Date.now() / 1000);
+  const fullClaims = {
+    ...claims,
+    type,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + ttl
+  };
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify(fullClaims));
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    claims: fullClaims
+  };
+}
+
+// Check signature, type and expiry; returns the payload or an { error } code
+export function verifyToken(token, expectedType) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return { error: 'invalid_token' };
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'invalid_token' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'invalid_token' };
+  }
+
+  if (claims.type !== expectedType) return { error: 'invalid_token' };
+  if (claims.exp <= Math.floor(Date.now() / 1000)) return { error: 'token_expired' };
+  return { claims };
+}
+
+export function looksLikeToken(value) {
+  return String(value).split('.').length === 3;
+}
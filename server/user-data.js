@@ -0,0 +1,23 @@
+import { storage } from './storage.js';
+
+const USER_DATA = 'user-data';
+
+export const USER_LISTS = ['watchlist', 'favorites'];
+
+function emptyUserData() {
+  return { progress: {}, watchlist: [], favorites: [] };
+}
+
+// Per-user documents (watch progress and lists), keyed by user id
+export async function getUserData(userId) {
+  const all = await storage.read(USER_DATA, {});
+  return { ...emptyUserData(), ...all[userId] };
+}
+
+// Read-modify-write one user's document; the mutator's return value is passed through
+export function updateUserData(userId, mutator) {
+  return storage.update(USER_DATA, all => {
+    all[userId] = { ...emptyUserData(), ...all[userId] };
+    return mutator(all[userId]);
+  }, {});
+}
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { storage } from './storage.js';
+import { ApiError, ValidationError } from './errors.js';
+import { config } from './config.js';
+
+const USERS = 'users';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored as scrypt$N$r$p$salt$hash so parameters can be raised later
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Admin needs both an explicit grant (see setAdminGrant) and an address still listed
+// in config.auth.adminEmails (ADMIN_EMAILS). Worked out whenever tokens are issued,
+// so taking an address off the list ends the role at the next login or refresh.
+export function roleOf(user) {
+  return user.adminGrantedAt && config.auth.adminEmails.includes(user.email) ? 'admin' : 'user';
+}
+
+// The fields of an account that are safe to send to clients
+export function publicUser(user) {
+  const { id, email, displayName, createdAt } = user;
+  return { id, email, displayName, role: roleOf(user), createdAt };
+}
+
+function validateRegistration({ email, password, displayName } = {}) {
+  const errors = [];
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    errors.push({
+      code: email === undefined ? 'required' : 'invalid_value',
+      field: 'email',
+      message: 'email must be a valid email address'
+    });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({
+      code: password === undefined ? 'required' : 'too_short',
+      field: 'password',
+      message: `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    });
+  }
+  if (displayName !== undefined && (typeof displayName !== 'string' || displayName.trim().length === 0 || displayName.length > 100)) {
+    errors.push({
+      code: typeof displayName === 'string' && displayName.length > 100 ? 'too_long' : 'invalid_value',
+      field: 'displayName',
+      message: 'displayName must be a non-empty string of at most 100 characters'
+    });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors, { message: 'Invalid registration', code: 'invalid_body' });
+  }
+}
+
+export async function findUserById(id) {
+  const users = await storage.read(USERS, []);
+  return users.find(user => user.id === id) || null;
+}
+
+export async function createUser(input) {
+  validateRegistration(input);
+  const email = input.email.trim().toLowerCase();
+  const passwordHash = await hashPassword(input.password);
+
+  return storage.update(USERS, users => {
+    if (users.some(user => user.email === email)) {
+      throw new ApiError(409, 'An account with this email already exists');
+    }
+    const user = {
+      id: `usr-${crypto.randomBytes(8).toString('hex')}`,
+      email,
+      displayName: input.displayName ? input.displayName.trim() : email.split('@')[0],
+      passwordHash,
+      createdAt: new Date().toISOString(),
+      sessions: []
+    };
+    users.push(user);
+    return user;
+  }, []);
+}
+
+// Grant or withdraw admin for an account, looked up by id or email. Only an admin
+// (the admin API key or an existing admin) can call this; registering never grants it.
+export function setAdminGrant(idOrEmail, granted) {
+  const key = String(idOrEmail).trim().toLowerCase();
+  return storage.update(USERS, users => {
+    const user = users.find(u => u.id === idOrEmail || u.email === key);
+    if (!user) throw new ApiError(404, 'Account not found');
+    if (granted && !config.auth.adminEmails.includes(user.email)) {
+      throw new ApiError(409, 'Add the address to ADMIN_EMAILS before granting admin');
+    }
+    if (granted) user.adminGrantedAt = user.adminGrantedAt || new Date().toISOString();
+    else delete user.adminGrantedAt;
+    // Accounts created before grants existed stored a role; it is no longer read
+    delete user.role;
+    return user;
+  }, []);
+}
+
+// Returns the account for valid credentials, null otherwise
+export async function authenticateUser(email, password) {
+  if (typeof email !== 'string' || typeof password !== 'string') return null;
+
+  const users = await storage.read(USERS, []);
+  const user = users.find(u => u.email === email.trim().toLowerCase());
+  if (!user) {
+    // Spend the same time as a real check so response timing does not reveal accounts
+    await hashPassword(password);
+    return null;
+  }
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+}
+
+function activeSessions(user) {
+  const now = Date.now();
+  return (user.sessions || []).filter(session => Date.parse(session.expiresAt) > now);
+}
+
+// Refresh tokens are tracked by jti so they can be rotated and revoked
+export function addSession(userId, jti, expiresAt) {
+  return storage.update(USERS, users => {
+    const user = users.find(u => u.id === userId);
+    if (!user) throw new ApiError(401, 'Account no longer exists');
+    user.sessions = [...activeSessions(user), { jti, expiresAt }];
+  }, []);
+}
+
+// Swap a refresh token for a new one; false when the old one was already used or revoked
+export function rotateSession(userId, oldJti, newJti, expiresAt) {
+  return storage.update(USERS, users => {
+    const user = users.find(u => u.id === userId);
+    if (!user) return null;
+    const sessions = activeSessions(user);
+    if (!sessions.some(session => session.jti === oldJti)) return null;
+    user.sessions = [...sessions.filter(session => session.jti !== oldJti), { jti: newJti, expiresAt }];
+    return user;
+  }, []);
+}
+
+export function removeSession(userId, jti) {
+  return storage.update(USERS, users => {
+    const user = users.find(u => u.id === userId);
+    if (user) user.sessions = activeSessions(user).filter(session => session.jti !== jti);
+  }, []);
+}
@@ -0,0 +1,94 @@
+// Admin role: never granted by registering, only through the admin API, and only
+// while the address stays in ADMIN_EMAILS. Runs against a throwaway data directory.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Read by the config module, so they are set before the routes are imported
+const dataDir = mkdtempSync(join(tmpdir(), 'viewmax-roles-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'json';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.ADMIN_EMAILS = 'owner@example.com';
+
+const { default: express } = await import('express');
+const { config } = await import('../server/config.js');
+const { authenticate } = await import('../server/auth.js');
+const { default: authRouter } = await import('../server/routes/auth.js');
+const { default: adminRouter } = await import('../server/routes/admin.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api', authenticate);
+app.use('/api', authRouter);
+app.use('/api', adminRouter);
+
+let server;
+let base;
+
+before(async () => {
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, path, body, token) {
+  const headers = { 'content-type': 'application/json' };
+  if (token) headers.authorization = `Bearer ${token}`;
+  const response = await fetch(`${base}${path}`, { method, headers, body: JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+const CREDENTIALS = { email: 'owner@example.com', password: 'correct horse' };
+
+test('registering with an ADMIN_EMAILS address does not grant admin', async () => {
+  const { status, body } = await request('POST', '/auth/register', CREDENTIALS);
+  assert.equal(status, 201);
+  assert.equal(body.data.user.role, 'user');
+
+  const denied = await request('GET', '/admin/source-health', undefined, body.data.accessToken);
+  assert.equal(denied.status, 403);
+});
+
+test('an admin grant applies at the next login and ends when the address is delisted', async () => {
+  const granted = await request('PUT', `/admin/users/${CREDENTIALS.email}/role`, { role: 'admin' }, 'test-admin-key');
+  assert.equal(granted.status, 200);
+  assert.equal(granted.body.data.role, 'admin');
+
+  const login = await request('POST', '/auth/login', CREDENTIALS);
+  assert.equal(login.body.data.user.role, 'admin');
+  const allowed = await request('GET', '/admin/source-health', undefined, login.body.data.accessToken);
+  assert.equal(allowed.status, 200);
+
+  config.auth.adminEmails = [];
+  try {
+    const refreshed = await request('POST', '/auth/refresh', { refreshToken: login.body.data.refreshToken });
+    assert.equal(refreshed.body.data.user.role, 'user');
+    const denied = await request('GET', '/admin/source-health', undefined, refreshed.body.data.accessToken);
+    assert.equal(denied.status, 403);
+  } finally {
+    config.auth.adminEmails = ['owner@example.com'];
+  }
+});
+
+test('admin can only be granted to a listed address, and only by an admin', async () => {
+  const other = await request('POST', '/auth/register', { email: 'someone@example.com', password: 'correct horse' });
+
+  const unlisted = await request('PUT', '/admin/users/someone@example.com/role', { role: 'admin' }, 'test-admin-key');
+  assert.equal(unlisted.status, 409);
+
+  const selfGrant = await request('PUT', `/admin/users/${CREDENTIALS.email}/role`, { role: 'admin' }, other.body.data.accessToken);
+  assert.equal(selfGrant.status, 403);
+
+  const invalid = await request('PUT', `/admin/users/${CREDENTIALS.email}/role`, { role: 'owner' }, 'test-admin-key');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_body');
+});
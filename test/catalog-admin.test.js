@@ -0,0 +1,65 @@
+// Admin catalog routes: invalid bodies are refused with the shared validation envelope.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read by the config module, so it is set before the routes are imported
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const { default: express } = await import('express');
+const { authenticate } = await import('../server/auth.js');
+const { default: catalogAdminRouter } = await import('../server/routes/catalog-admin.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api', authenticate);
+app.use('/api', catalogAdminRouter);
+
+let server;
+let base;
+
+before(async () => {
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function post(path, body) {
+  return fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer test-admin-key' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('an invalid movie is refused with { code, field, message } details', async () => {
+  const response = await post('/movies', { name: 'Incomplete', rating: '11', sources: [{ provider: 'a' }, { provider: 'a' }] });
+  assert.equal(response.status, 400);
+
+  const body = await response.json();
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'Invalid movie');
+  assert.equal(body.code, 'invalid_body');
+  assert.deepEqual(body.details, [
+    { code: 'required', field: 'description', message: 'description is required' },
+    { code: 'required', field: 'genre', message: 'genre is required' },
+    { code: 'out_of_range', field: 'rating', message: 'rating must be at most 10' },
+    { code: 'required', field: 'releaseDate', message: 'releaseDate is required' },
+    { code: 'duplicate', field: 'sources', message: 'sources lists a more than once' }
+  ]);
+});
+
+test('an invalid episode reports the field path', async () => {
+  const response = await post('/series/any-series/episodes', { season: 0, episode: 'two', title: '' });
+  assert.equal(response.status, 400);
+
+  const body = await response.json();
+  assert.equal(body.code, 'invalid_body');
+  assert.deepEqual(body.details.map(({ code, field }) => ({ code, field })), [
+    { code: 'out_of_range', field: 'season' },
+    { code: 'invalid_type', field: 'episode' },
+    { code: 'invalid_value', field: 'title' }
+  ]);
+});
@@ -0,0 +1,112 @@
+// Admin catalog import: a dry run reports what the real import does, against a
+// throwaway data directory holding one valid and one schema-breaking movie.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const STORED = [
+  {
+    id: 'mv-000000000001',
+    slug: 'kept-out-2020',
+    name: 'Kept Out',
+    description: 'Breaks the schema, so it is not served',
+    genre: 'Drama',
+    rating: '99',
+    releaseDate: '2020',
+    externalIds: { imdbId: 'tt0000001' }
+  },
+  {
+    id: 'mv-000000000002',
+    slug: 'served-2021',
+    name: 'Served',
+    description: 'A valid entry',
+    genre: 'Drama',
+    rating: '7.0',
+    releaseDate: '2021',
+    externalIds: { imdbId: 'tt0000002' }
+  }
+];
+
+const NEW_ROW = {
+  name: 'Imported',
+  description: 'Added by the import',
+  genre: 'Comedy',
+  rating: '6.5',
+  releaseDate: '2022',
+  imdbId: 'tt0000003'
+};
+
+// Read by the config module, so they are set before the routes are imported
+const dataDir = mkdtempSync(join(tmpdir(), 'viewmax-import-'));
+writeFileSync(join(dataDir, 'movies.json'), JSON.stringify(STORED));
+writeFileSync(join(dataDir, 'series.json'), '[]');
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'json';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const { default: express } = await import('express');
+const { authenticate } = await import('../server/auth.js');
+const { catalogStore } = await import('../server/catalog-store.js');
+const { default: adminRouter } = await import('../server/routes/admin.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api', authenticate);
+app.use('/api', adminRouter);
+
+let server;
+let base;
+
+before(async () => {
+  await catalogStore.load();
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function importMovies(rows, query) {
+  const response = await fetch(`${base}/admin/catalog/movies/import?${new URLSearchParams(query)}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer test-admin-key' },
+    body: JSON.stringify(rows)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const storedMovies = () => JSON.parse(readFileSync(join(dataDir, 'movies.json'), 'utf8'));
+
+test('a dry run refuses invalid rows exactly as the import does', async () => {
+  const rows = [NEW_ROW, { ...NEW_ROW, name: 'No Rating', rating: 'great' }];
+  const dryRun = await importMovies(rows, { dryRun: 'true' });
+  const real = await importMovies(rows, {});
+
+  assert.equal(dryRun.status, 400);
+  assert.equal(real.status, 400);
+  assert.deepEqual(dryRun.body, real.body);
+  assert.deepEqual(storedMovies(), STORED);
+});
+
+test('a replace dry run lists the removals the import makes, hidden entries included', async () => {
+  const dryRun = await importMovies([NEW_ROW], { dryRun: 'true', mode: 'replace' });
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.dryRun, true);
+  assert.deepEqual(storedMovies(), STORED);
+  assert.deepEqual(dryRun.body.data.removed, [
+    { id: 'mv-000000000001', name: 'Kept Out' },
+    { id: 'mv-000000000002', name: 'Served' }
+  ]);
+
+  const real = await importMovies([NEW_ROW], { mode: 'replace' });
+  assert.equal(real.status, 200);
+  assert.deepEqual(real.body.data.removed, dryRun.body.data.removed);
+  assert.deepEqual(real.body.data.added.map(({ name }) => name), ['Imported']);
+  assert.deepEqual(storedMovies().map(({ name }) => name), ['Imported']);
+});
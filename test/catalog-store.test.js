@@ -0,0 +1,58 @@
+// CatalogStore reloads of hand-edited collections, against an in-memory storage stub.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CatalogStore } from '../server/catalog-store.js';
+
+const MOVIE = {
+  name: 'Hand Added',
+  description: 'Added to the file by hand',
+  genre: 'Drama',
+  rating: '7.5',
+  releaseDate: '2021',
+  externalIds: { imdbId: 'tt7654321' }
+};
+
+// Storage holding one collection in memory, counting writes
+function memoryStorage(items) {
+  return {
+    data: { movies: items, series: [] },
+    writes: 0,
+    async read(name) {
+      return structuredClone(this.data[name]);
+    },
+    async update(name, mutator) {
+      const items = structuredClone(this.data[name]);
+      const result = await mutator(items);
+      this.data[name] = items;
+      this.writes += 1;
+      return result;
+    }
+  };
+}
+
+test('a hand-added entry gets its id and slug written back', async () => {
+  const storage = memoryStorage([{ ...MOVIE }]);
+  const store = new CatalogStore({ storage });
+
+  assert.equal(await store.reload('movies'), true);
+  assert.equal(storage.writes, 1);
+  const [saved] = storage.data.movies;
+  assert.match(saved.id, /^mv-/);
+  assert.equal(saved.slug, 'hand-added-2021');
+  assert.equal(store.findById('movies', saved.id).name, 'Hand Added');
+
+  // The write is seen as another change; that reload has nothing left to write
+  await store.reload('movies');
+  assert.equal(storage.writes, 1);
+});
+
+test('an entry without an id that breaks the schema is not written back', async () => {
+  const storage = memoryStorage([{ ...MOVIE, rating: '99' }]);
+  const store = new CatalogStore({ storage });
+
+  assert.equal(await store.reload('movies'), true);
+  await store.reload('movies');
+  assert.equal(storage.writes, 0);
+  assert.deepEqual(storage.data.movies, [{ ...MOVIE, rating: '99' }]);
+  assert.deepEqual(store.all('movies'), []);
+});
@@ -0,0 +1,94 @@
+// SourceHealthChecker against a local stub server standing in for the embed providers.
+// Run with `npm test`.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { SourceHealthChecker } from '../server/source-health.js';
+
+// Whether /flaky answers with an error; tests flip it to simulate an outage
+let flakyDown = false;
+
+const server = createServer((req, res) => {
+  if (req.url === '/ok') {
+    res.writeHead(200).end();
+  } else if (req.url === '/no-head') {
+    // A provider that refuses HEAD but plays fine with GET
+    res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+  } else if (req.url === '/flaky') {
+    res.writeHead(flakyDown ? 503 : 200).end();
+  } else {
+    res.writeHead(404).end();
+  }
+});
+
+let base;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// A checker that keeps results in memory and probes the given paths on the stub
+function checker(paths, options = {}) {
+  return new SourceHealthChecker({
+    getUrls: () => paths.map(path => `${base}${path}`),
+    collection: null,
+    failureThreshold: 2,
+    timeoutMs: 2000,
+    ...options
+  });
+}
+
+test('a source that answers is healthy', async () => {
+  const health = checker(['/ok']);
+  assert.deepEqual(await health.checkAll(), { total: 1, healthy: 1, unhealthy: 0 });
+  assert.equal(health.status(`${base}/ok`), 'healthy');
+  assert.equal(health.results.get(`${base}/ok`).statusCode, 200);
+});
+
+test('a source that refuses HEAD is retried with GET', async () => {
+  const health = checker(['/no-head']);
+  await health.checkAll();
+  const entry = health.results.get(`${base}/no-head`);
+  assert.equal(entry.status, 'healthy');
+  assert.equal(entry.statusCode, 200);
+  assert.equal(entry.failures, 0);
+});
+
+test('a failing source turns unhealthy only after failureThreshold failures', async () => {
+  const health = checker(['/missing'], { failureThreshold: 3 });
+  const url = `${base}/missing`;
+
+  for (let pass = 1; pass < 3; pass++) {
+    await health.checkAll();
+    assert.equal(health.status(url), 'healthy', `still healthy after ${pass} failure(s)`);
+    assert.equal(health.isHealthy(url), true);
+  }
+
+  await health.checkAll();
+  const entry = health.results.get(url);
+  assert.equal(entry.status, 'unhealthy');
+  assert.equal(entry.failures, 3);
+  assert.equal(entry.error, 'HTTP 404');
+  assert.equal(health.isHealthy(url), false);
+});
+
+test('an unhealthy source recovers on its next successful check', async () => {
+  const health = checker(['/flaky']);
+  const url = `${base}/flaky`;
+
+  flakyDown = true;
+  await health.checkAll();
+  await health.checkAll();
+  assert.equal(health.status(url), 'unhealthy');
+
+  flakyDown = false;
+  await health.checkAll();
+  const entry = health.results.get(url);
+  assert.equal(entry.status, 'healthy');
+  assert.equal(entry.failures, 0);
+  assert.equal(entry.totalFailures, 2);
+  assert.equal(entry.error, undefined);
+});
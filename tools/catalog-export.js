@@ -0,0 +1,48 @@
+// Export movies, series or episodes as CSV or JSON, e.g. to edit in a
+// spreadsheet and bring back with catalog:import. Filters match the catalog
+// list endpoints.
+//
+//   npm run catalog:export -- --type movies|series|episodes [--format csv|json] [--out file]
+//     [--genre Drama] [--min-rating 7] [--year-from 2020] [--year-to 2024] [--sort rating] [--season 1]
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { storage } from '../server/storage.js';
+import { getDataset, exportCatalog } from '../server/catalog-transfer.js';
+
+const { values: options } = parseArgs({
+  options: {
+    type: { type: 'string' },
+    format: { type: 'string', default: 'csv' },
+    out: { type: 'string' },
+    genre: { type: 'string', multiple: true },
+    'min-rating': { type: 'string' },
+    'year-from': { type: 'string' },
+    'year-to': { type: 'string' },
+    sort: { type: 'string' },
+    season: { type: 'string' }
+  }
+});
+
+const query = Object.fromEntries(Object.entries({
+  genre: options.genre,
+  minRating: options['min-rating'],
+  yearFrom: options['year-from'],
+  yearTo: options['year-to'],
+  sort: options.sort,
+  season: options.season
+}).filter(([, value]) => value !== undefined));
+
+try {
+  const dataset = getDataset(options.type);
+  const file = exportCatalog(dataset, await storage.read(dataset.kind), { format: options.format, query });
+
+  if (options.out) {
+    await fs.writeFile(options.out, file.body);
+    console.error(`${file.count} ${dataset.name} row(s) written to ${options.out}`);
+  } else {
+    process.stdout.write(file.body);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
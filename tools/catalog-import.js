@@ -0,0 +1,79 @@
+// Bulk upsert movies, series or episodes from a CSV or JSON file.
+// The dataset and format default to what the file name suggests
+// (e.g. new-movies.csv); --replace also removes what the file leaves out.
+//
+//   npm run catalog:import -- <file> [--type movies|series|episodes] [--format csv|json] [--replace] [--dry-run]
+import fs from 'fs/promises';
+import { basename, extname } from 'path';
+import { parseArgs } from 'util';
+import { storage } from '../server/storage.js';
+import { catalogStore } from '../server/catalog-store.js';
+import { DATASETS, getDataset, parseImport, applyImport, assertImportable } from '../server/catalog-transfer.js';
+
+const { values: options, positionals: [file] } = parseArgs({
+  allowPositionals: true,
+  options: {
+    type: { type: 'string' },
+    format: { type: 'string' },
+    replace: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+if (!file) {
+  console.error('Usage: npm run catalog:import -- <file> [--type movies|series|episodes] [--format csv|json] [--replace] [--dry-run]');
+  process.exit(1);
+}
+
+const type = options.type || Object.keys(DATASETS).find(name => basename(file).toLowerCase().includes(name));
+const format = options.format || extname(file).slice(1).toLowerCase();
+const dryRun = options['dry-run'];
+const mode = options.replace ? 'replace' : 'merge';
+
+const preview = value => {
+  const text = JSON.stringify(value ?? null);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+function printDiff(diff) {
+  diff.added.forEach(({ id, name }) => console.log(`+ ${id}  ${name}`));
+  diff.changed.forEach(({ id, name, fields }) => {
+    console.log(`~ ${id}  ${name}`);
+    Object.entries(fields).forEach(([field, { from, to }]) => {
+      console.log(`    ${field}: ${preview(from)} -> ${preview(to)}`);
+    });
+  });
+  diff.removed.forEach(({ id, name }) => console.log(`- ${id}  ${name}`));
+  diff.errors.forEach(({ row, id, errors }) => {
+    console.log(`! row ${row}${id ? ` (${id})` : ''}: ${errors.join('; ')}`);
+  });
+  console.log(
+    `${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ` +
+    `${diff.unchanged} unchanged, ${diff.errors.length} invalid`
+  );
+}
+
+try {
+  if (!type) {
+    throw new Error(`Cannot tell the dataset from "${basename(file)}"; pass --type ${Object.keys(DATASETS).join('|')}`);
+  }
+  const dataset = getDataset(type);
+  const rows = parseImport(format, await fs.readFile(file, 'utf8'));
+
+  if (dryRun) {
+    printDiff(applyImport(dataset, await storage.read(dataset.kind), rows, { mode }));
+    console.log('Dry run: nothing was written');
+  } else {
+    // Goes through the catalog store so the schema is enforced as for the API
+    await catalogStore.update(dataset.kind, items => {
+      const result = applyImport(dataset, items, rows, { mode });
+      printDiff(result);
+      assertImportable(result);
+      return result;
+    });
+    console.log(`Wrote ${dataset.kind} to ${storage.description}`);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,39 @@
+// Report catalog problems: schema violations, out-of-range ratings, malformed
+// source URLs, images missing on disk, duplicate names and gaps or duplicates
+// in season/episode numbering. Exits with status 1 when there are errors.
+//
+//   npm run catalog:integrity [-- --json] [--errors-only]
+import { storage } from '../server/storage.js';
+import { providerRegistry } from '../server/providers.js';
+import { buildIntegrityReport } from '../server/catalog-integrity.js';
+
+const asJSON = process.argv.includes('--json');
+const errorsOnly = process.argv.includes('--errors-only');
+
+await providerRegistry.load();
+const [movies, series] = await Promise.all([storage.read('movies', []), storage.read('series', [])]);
+const report = await buildIntegrityReport({ movies, series });
+if (errorsOnly) {
+  report.issues = report.issues.filter(issue => issue.severity === 'error');
+}
+
+if (asJSON) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  const byTitle = new Map();
+  report.issues.forEach(issue => {
+    const key = `${issue.kind} ${issue.id || '(no id)'} ${issue.name || ''}`.trim();
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(issue);
+  });
+  byTitle.forEach((issues, title) => {
+    console.log(title);
+    issues.forEach(({ severity, check, message }) => console.log(`  ${severity === 'error' ? '✗' : '!'} [${check}] ${message}`));
+  });
+
+  const { titles, errors, warnings, byCheck } = report.summary;
+  const counts = Object.entries(byCheck).filter(([, count]) => count > 0).map(([check, count]) => `${check}: ${count}`);
+  console.log(`\n${titles} title(s) checked: ${errors} error(s), ${warnings} warning(s)${counts.length ? ` (${counts.join(', ')})` : ''}`);
+}
+
+process.exitCode = report.summary.errors > 0 ? 1 : 0;
@@ -0,0 +1,139 @@
+// Rewrite the movies and series collections so titles store external ids
+// instead of full embed URLs. Ids are inferred by matching the stored URLs
+// against the provider templates; sources that the templates
+// reproduce are dropped, anything else is kept as a per-title override.
+// A title is only rewritten if it still resolves to exactly the same sources.
+//
+//   npm run compact:catalog [-- --dry-run]
+import { isDeepStrictEqual } from 'util';
+import { storage } from '../server/storage.js';
+import { providerRegistry, matchTemplate, EXTERNAL_ID_FIELDS } from '../server/providers.js';
+import { isLegacySources, migrateSources } from '../server/sources.js';
+
+const OVERRIDE_FIELDS = ['url', 'label', 'quality', 'language', 'priority'];
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Movies have one source list; series have one per episode
+function playableUnits(kind, title) {
+  if (kind === 'movies') return [{ unit: title, episode: undefined }];
+  return (title.episodes || []).map(episode => ({ unit: episode, episode }));
+}
+
+// Count how often each external id value appears in the title's URLs
+function inferExternalIds(kind, title) {
+  const votes = new Map(EXTERNAL_ID_FIELDS.map(field => [field, new Map()]));
+  const templateKind = kind === 'movies' ? 'movie' : 'episode';
+
+  playableUnits(kind, title).forEach(({ unit, episode }) => {
+    (unit.sources || []).filter(source => source.url).forEach(source => {
+      const provider = providerRegistry.get(source.provider);
+      for (const template of provider?.templates?.[templateKind] || []) {
+        const values = matchTemplate(template, source.url);
+        if (!values) continue;
+        if (episode && (Number(values.season) !== episode.season || Number(values.episode) !== episode.episode)) continue;
+
+        EXTERNAL_ID_FIELDS.forEach(field => {
+          if (values[field] === undefined) return;
+          const counts = votes.get(field);
+          counts.set(values[field], (counts.get(values[field]) || 0) + 1);
+        });
+        break;
+      }
+    });
+  });
+
+  const inferred = {};
+  votes.forEach((counts, field) => {
+    const [best] = [...counts].sort((a, b) => b[1] - a[1]);
+    if (best) inferred[field] = best[0];
+  });
+  return inferred;
+}
+
+// Overrides that reproduce the given resolved sources on top of the registry
+function compactSources(title, episode, sources) {
+  const generated = new Map(providerRegistry.generate(title, episode).map(source => [source.provider, source]));
+  const overrides = [];
+
+  sources.forEach(source => {
+    const base = generated.get(source.provider);
+    if (!base) {
+      overrides.push(source);
+      return;
+    }
+    const changed = OVERRIDE_FIELDS.filter(field => (source[field] ?? null) !== (base[field] ?? null));
+    if (changed.length > 0) {
+      overrides.push({ provider: source.provider, ...Object.fromEntries(changed.map(field => [field, source[field]])) });
+    }
+  });
+
+  generated.forEach((source, provider) => {
+    if (!sources.some(entry => entry.provider === provider)) {
+      overrides.push({ provider, disabled: true });
+    }
+  });
+  return overrides;
+}
+
+function compactTitle(kind, title) {
+  const units = playableUnits(kind, title);
+  units.forEach(({ unit }) => {
+    if (isLegacySources(unit.sources)) unit.sources = migrateSources(unit.sources);
+  });
+
+  const before = units.map(({ unit, episode }) => providerRegistry.resolve(title, episode));
+  // Keep externalIds ahead of the (long) episode list
+  const { episodes, ...fields } = structuredClone(title);
+  const externalIds = { ...inferExternalIds(kind, title), ...title.externalIds };
+  const compacted = {
+    ...fields,
+    ...(Object.keys(externalIds).length > 0 && { externalIds }),
+    ...(episodes && { episodes })
+  };
+
+  playableUnits(kind, compacted).forEach(({ unit, episode }, index) => {
+    const overrides = compactSources(compacted, episode, before[index]);
+    if (overrides.length > 0) {
+      unit.sources = overrides;
+    } else {
+      delete unit.sources;
+    }
+  });
+
+  const after = playableUnits(kind, compacted).map(({ episode }) => providerRegistry.resolve(compacted, episode));
+  return isDeepStrictEqual(before, after) ? compacted : null;
+}
+
+function compactCatalog(kind, titles) {
+  const stats = { compacted: 0, skipped: [], before: JSON.stringify(titles, null, 2).length };
+  titles.forEach((title, index) => {
+    const compacted = compactTitle(kind, title);
+    if (!compacted) {
+      stats.skipped.push(title.name);
+    } else if (!isDeepStrictEqual(compacted, title)) {
+      titles[index] = compacted;
+      stats.compacted += 1;
+    }
+  });
+  stats.after = JSON.stringify(titles, null, 2).length;
+  return stats;
+}
+
+await providerRegistry.load();
+if (providerRegistry.providers.length === 0) {
+  console.error('The providers collection is empty; nothing to compact against');
+  process.exit(1);
+}
+
+for (const kind of ['movies', 'series']) {
+  const stats = dryRun
+    ? compactCatalog(kind, await storage.read(kind))
+    : await storage.update(kind, titles => compactCatalog(kind, titles));
+
+  const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+  console.log(`${kind}: ${stats.compacted} title(s) ${dryRun ? 'would be ' : ''}compacted, ${kb(stats.before)} -> ${kb(stats.after)}`);
+  if (stats.skipped.length > 0) {
+    console.log(`  left unchanged (sources would differ): ${stats.skipped.join(', ')}`);
+  }
+}
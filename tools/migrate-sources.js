@@ -0,0 +1,31 @@
+// Convert { source1, source2, ... } source objects in the movies and series
+// collections to the ordered source list. Safe to run more than once.
+//
+//   npm run migrate:sources [-- --dry-run]
+import { storage } from '../server/storage.js';
+import { isLegacySources, migrateSources } from '../server/sources.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+function migrateEntries(entries) {
+  let converted = 0;
+  entries.forEach(entry => {
+    if (isLegacySources(entry.sources)) {
+      entry.sources = migrateSources(entry.sources);
+      converted += 1;
+    }
+  });
+  return converted;
+}
+
+const migrations = {
+  movies: movies => migrateEntries(movies),
+  series: series => series.reduce((total, show) => total + migrateEntries(show.episodes || []), 0)
+};
+
+for (const [name, migrate] of Object.entries(migrations)) {
+  const converted = dryRun
+    ? migrate(await storage.read(name))
+    : await storage.update(name, migrate);
+  console.log(`${name}: ${converted} source list(s) ${dryRun ? 'would be ' : ''}converted`);
+}
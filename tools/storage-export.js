@@ -0,0 +1,18 @@
+// Export the SQLite database back to the JSON data files, e.g. to switch
+// STORAGE_BACKEND back to json. Existing files are kept unless --force is given.
+//
+//   npm run storage:export [-- --force]
+import { createStorage, copyStorage } from '../server/storage.js';
+import { config } from '../server/config.js';
+import { printCopyReport } from './storage-report.js';
+
+const force = process.argv.includes('--force');
+const { sqliteFile } = config.storage;
+
+const source = await createStorage({ backend: 'sqlite', sqliteFile });
+const target = await createStorage({ backend: 'json' });
+try {
+  printCopyReport(await copyStorage(source, target, { force }), `to ${target.description}`);
+} finally {
+  source.close();
+}
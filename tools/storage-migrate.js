@@ -0,0 +1,19 @@
+// Import the JSON data files (catalog, providers, users, user data and the
+// event log) into the SQLite database used by STORAGE_BACKEND=sqlite.
+// Collections already in the database are kept unless --force is given.
+//
+//   npm run storage:migrate [-- --force]
+import { createStorage, copyStorage } from '../server/storage.js';
+import { config } from '../server/config.js';
+import { printCopyReport } from './storage-report.js';
+
+const force = process.argv.includes('--force');
+const { sqliteFile } = config.storage;
+
+const source = await createStorage({ backend: 'json' });
+const target = await createStorage({ backend: 'sqlite', sqliteFile });
+try {
+  printCopyReport(await copyStorage(source, target, { force }), `into ${target.description}`);
+} finally {
+  target.close();
+}
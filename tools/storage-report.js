@@ -0,0 +1,8 @@
+// Shared output for the storage migrate and export commands
+export function printCopyReport({ collections, logs, skipped }, destination) {
+  collections.forEach(({ name, size }) => console.log(`${name}: ${size} record(s) copied ${destination}`));
+  logs.forEach(({ name, size }) => console.log(`${name} log: ${size} entr${size === 1 ? 'y' : 'ies'} copied ${destination}`));
+  if (skipped.length > 0) {
+    console.log(`Skipped (already present, use --force to overwrite): ${skipped.join(', ')}`);
+  }
+}